@@ -0,0 +1,153 @@
+/**
+ * Request Body Parser - Interview Question
+ * "What happens if a client streams a 10GB body at your server?"
+ */
+
+const querystring = require('querystring');
+
+const DEFAULT_LIMIT = 1024 * 1024; // 1MB
+
+// Error carrying the HTTP status the server should answer with
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Charset names from Content-Type mapped to Buffer encodings
+const CHARSETS = {
+  'utf-8': 'utf8',
+  'utf8': 'utf8',
+  'utf-16le': 'utf16le',
+  'iso-8859-1': 'latin1',
+  'latin1': 'latin1',
+  'us-ascii': 'ascii',
+  'ascii': 'ascii'
+};
+
+// Media type -> function(text) returning the parsed body
+const PARSERS = {
+  'application/json': parseJSON,
+  'application/x-www-form-urlencoded': text => ({ ...querystring.parse(text) }),
+  'text/plain': text => text
+};
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const position = err.message.match(/position (\d+)/);
+    throw new HttpError(400, 'Malformed JSON', {
+      message: err.message,
+      position: position ? parseInt(position[1]) : undefined
+    });
+  }
+}
+
+// 'application/json; charset=UTF-8' -> { type: 'application/json', charset: 'utf-8' }
+function parseContentType(header = '') {
+  const [type, ...params] = header.split(';').map(part => part.trim());
+  const result = { type: type.toLowerCase(), charset: 'utf-8' };
+
+  for (const param of params) {
+    const [key, value = ''] = param.split('=');
+    if (key.toLowerCase() === 'charset') {
+      result.charset = value.replace(/"/g, '').toLowerCase();
+    }
+  }
+
+  // Structured syntax suffix: application/vnd.api+json is still JSON
+  if (result.type.endsWith('+json')) result.type = 'application/json';
+
+  return result;
+}
+
+// Read the raw body, giving up as soon as it grows past `limit` bytes
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers['content-length']);
+
+    // Reject up front when the client tells us it's too big
+    if (declared > limit) {
+      req.pause();
+      reject(new HttpError(413, 'Request body too large', { limit }));
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    function onData(chunk) {
+      received += chunk.length;
+
+      if (received > limit) {
+        cleanup();
+        req.pause(); // Stop reading; the caller destroys the request after the 413
+        reject(new HttpError(413, 'Request body too large', { limit }));
+        return;
+      }
+
+      chunks.push(chunk);
+    }
+
+    function onEnd() {
+      cleanup();
+      resolve(Buffer.concat(chunks));
+    }
+
+    function onError(err) {
+      cleanup();
+      reject(err);
+    }
+
+    function cleanup() {
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      req.removeListener('error', onError);
+    }
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', onError);
+  });
+}
+
+async function parseBody(req, { limit = DEFAULT_LIMIT } = {}) {
+  const { type, charset } = parseContentType(req.headers['content-type']);
+  const raw = await readBody(req, limit);
+
+  if (raw.length === 0) return {};
+
+  const parser = PARSERS[type];
+  if (!parser) {
+    throw new HttpError(415, 'Unsupported media type', {
+      received: type || null,
+      supported: Object.keys(PARSERS)
+    });
+  }
+
+  const encoding = CHARSETS[charset];
+  if (!encoding) {
+    throw new HttpError(415, 'Unsupported charset', {
+      received: charset,
+      supported: Object.keys(CHARSETS)
+    });
+  }
+
+  // Strip a leading byte order mark before parsing
+  const text = raw.toString(encoding).replace(/^\uFEFF/, '');
+  return parser(text);
+}
+
+module.exports = { parseBody, HttpError };
+
+/* INTERVIEW TAKEAWAYS:
+1. Never buffer an unbounded body - enforce a byte limit (413)
+2. Check Content-Length first, but still count bytes (it can lie or be absent)
+3. Decode with the charset from Content-Type, not a hardcoded one
+4. Unknown media types get 415, malformed JSON gets 400 (not 500)
+5. Close the connection after 413 so the rest of the body isn't read
+*/
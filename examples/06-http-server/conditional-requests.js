@@ -0,0 +1,51 @@
+/**
+ * Conditional Requests - Interview Question
+ * "How do ETags save bandwidth and prevent lost updates?"
+ *
+ * GET  + If-None-Match -> 304 Not Modified when the client's copy is current
+ * PUT/PATCH/DELETE + If-Match -> 412 Precondition Failed when it is stale
+ */
+
+// Strong ETag derived from the resource version
+function etagFor(resource) {
+  return `"${resource.id}-${resource.version}"`;
+}
+
+// 'W/"1-2", "1-3"' -> [{ weak: true, tag: '"1-2"' }, { weak: false, tag: '"1-3"' }]
+function parseEtagList(header) {
+  return header
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => item.startsWith('W/')
+      ? { weak: true, tag: item.slice(2) }
+      : { weak: false, tag: item });
+}
+
+// If-None-Match uses weak comparison: W/"x" matches "x"
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  return parseEtagList(header).some(({ tag }) => tag === etag);
+}
+
+// If-Match uses strong comparison: weak tags never match
+function isPreconditionFailed(req, etag) {
+  const header = req.headers['if-match'];
+  if (!header) return false;
+  if (header.trim() === '*') return false; // Resource exists, so '*' matches
+
+  return !parseEtagList(header).some(({ weak, tag }) => !weak && tag === etag);
+}
+
+module.exports = { etagFor, isNotModified, isPreconditionFailed };
+
+/* INTERVIEW TAKEAWAYS:
+1. ETag identifies a specific version of a resource
+2. If-None-Match -> 304 lets clients revalidate caches without re-downloading
+3. If-Match -> 412 gives optimistic concurrency (no silent last-write-wins)
+4. Strong vs weak ETags: If-Match requires a strong match
+5. The check and the write must be atomic (compare-and-swap on version)
+*/
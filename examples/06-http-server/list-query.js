@@ -0,0 +1,244 @@
+/**
+ * List Queries - Interview Question
+ * "Why is cursor pagination better than ?page=N for large or changing data?"
+ *
+ * Grammar shared by GET /users and GET /api/users:
+ *   ?limit=20                      page size (1..maxLimit)
+ *   ?sort=-age,name                '-' prefix = descending
+ *   ?fields=name,email             sparse fieldset (id always included)
+ *   ?name=ali                      substring match
+ *   ?minAge=18&maxAge=65           numeric range
+ *   ?createdAfter=2024-01-01       date range (also createdBefore)
+ *   ?cursor=<opaque>               from the previous response's next/prev
+ */
+
+const USER_FIELDS = ['id', 'name', 'email', 'age', 'createdAt', 'updatedAt', 'deletedAt', 'version'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url of the boundary row's sort values
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(payload.k) || !['next', 'prev'].includes(payload.d)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Returns { options, errors } - errors lists every invalid parameter
+function parseListQuery(query, { fields = USER_FIELDS, maxLimit = MAX_LIMIT } = {}) {
+  const errors = [];
+  const options = {
+    limit: DEFAULT_LIMIT,
+    sort: [],
+    fields: null,
+    filters: {},
+    cursor: null
+  };
+
+  // ?sort=a&sort=b arrives as an array - reject instead of guessing
+  const single = key => {
+    const value = query[key];
+    if (Array.isArray(value)) {
+      errors.push({ field: key, message: 'Must be given only once' });
+      return undefined;
+    }
+    return value;
+  };
+
+  const limit = single('limit');
+  if (limit !== undefined) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1 || n > maxLimit) {
+      errors.push({ field: 'limit', message: `Must be an integer between 1 and ${maxLimit}` });
+    } else {
+      options.limit = n;
+    }
+  }
+
+  const sort = single('sort');
+  if (sort !== undefined) {
+    for (const item of parseList(sort)) {
+      const desc = item.startsWith('-');
+      const field = desc ? item.slice(1) : item;
+      if (!fields.includes(field)) {
+        errors.push({ field: 'sort', message: `Cannot sort by '${field}'` });
+      } else {
+        options.sort.push({ field, desc });
+      }
+    }
+  }
+  // id breaks ties so every row has a unique position (needed for cursors)
+  if (!options.sort.some(s => s.field === 'id')) {
+    options.sort.push({ field: 'id', desc: false });
+  }
+
+  const selected = single('fields');
+  if (selected !== undefined) {
+    const unknown = parseList(selected).filter(f => !fields.includes(f));
+    if (unknown.length) {
+      errors.push({ field: 'fields', message: `Unknown fields: ${unknown.join(', ')}` });
+    } else {
+      options.fields = ['id', ...parseList(selected).filter(f => f !== 'id')];
+    }
+  }
+
+  const name = single('name');
+  if (name) options.filters.name = name.toLowerCase();
+
+  for (const key of ['minAge', 'maxAge']) {
+    const value = single(key);
+    if (value === undefined) continue;
+    const n = Number(value);
+    if (value === '' || !Number.isFinite(n)) {
+      errors.push({ field: key, message: 'Must be a number' });
+    } else {
+      options.filters[key] = n;
+    }
+  }
+
+  for (const key of ['createdAfter', 'createdBefore']) {
+    const value = single(key);
+    if (value === undefined) continue;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      errors.push({ field: key, message: 'Must be an ISO 8601 date' });
+    } else {
+      options.filters[key] = time;
+    }
+  }
+
+  const { minAge, maxAge } = options.filters;
+  if (minAge !== undefined && maxAge !== undefined && minAge > maxAge) {
+    errors.push({ field: 'minAge', message: 'Must not be greater than maxAge' });
+  }
+
+  const cursor = single('cursor');
+  if (cursor !== undefined) {
+    const payload = decodeCursor(cursor);
+    if (!payload) {
+      errors.push({ field: 'cursor', message: 'Invalid cursor' });
+    } else if (payload.s !== sortSignature(options.sort)) {
+      errors.push({ field: 'cursor', message: 'Cursor was issued for a different sort' });
+    } else {
+      options.cursor = payload;
+    }
+  }
+
+  return { options, errors };
+}
+
+// A cursor is only meaningful for the sort order it was created with
+function sortSignature(sort) {
+  return sort.map(s => (s.desc ? '-' : '') + s.field).join(',');
+}
+
+function matchesFilters(user, filters) {
+  const created = Date.parse(user.createdAt);
+
+  if (filters.name && !user.name.toLowerCase().includes(filters.name)) return false;
+  if (filters.minAge !== undefined && !(user.age >= filters.minAge)) return false;
+  if (filters.maxAge !== undefined && !(user.age <= filters.maxAge)) return false;
+  if (filters.createdAfter !== undefined && !(created > filters.createdAfter)) return false;
+  if (filters.createdBefore !== undefined && !(created < filters.createdBefore)) return false;
+  return true;
+}
+
+// Missing values sort first, then natural order
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareKeys(a, b, sort) {
+  for (let i = 0; i < sort.length; i++) {
+    const result = compareValues(a[i], b[i]);
+    if (result !== 0) return sort[i].desc ? -result : result;
+  }
+  return 0;
+}
+
+// Missing fields become null: cursors are JSON, which has no undefined
+const sortKey = (user, sort) => sort.map(s => user[s.field] ?? null);
+
+function project(user, fields) {
+  if (!fields) return user;
+  return Object.fromEntries(fields.filter(f => f in user).map(f => [f, user[f]]));
+}
+
+// Filter, sort and slice one page; returns { data, total, next, prev }
+function applyListQuery(records, { limit, sort, fields, filters, cursor }) {
+  const rows = records
+    .filter(user => matchesFilters(user, filters))
+    .map(user => ({ user, key: sortKey(user, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, sort));
+
+  // Keyset pagination: find the boundary row by value, not by offset,
+  // so inserts and deletes between requests don't shift the pages
+  let start = 0;
+  let end = Math.min(limit, rows.length);
+
+  if (cursor && cursor.d === 'next') {
+    start = rows.findIndex(row => compareKeys(row.key, cursor.k, sort) > 0);
+    if (start === -1) start = rows.length;
+    end = Math.min(start + limit, rows.length);
+  } else if (cursor && cursor.d === 'prev') {
+    end = rows.findIndex(row => compareKeys(row.key, cursor.k, sort) >= 0);
+    if (end === -1) end = rows.length;
+    start = Math.max(0, end - limit);
+  }
+
+  const page = rows.slice(start, end);
+  const signature = sortSignature(sort);
+
+  return {
+    data: page.map(row => project(row.user, fields)),
+    total: rows.length,
+    next: end < rows.length && page.length
+      ? encodeCursor({ k: page[page.length - 1].key, d: 'next', s: signature })
+      : null,
+    prev: start > 0 && page.length
+      ? encodeCursor({ k: page[0].key, d: 'prev', s: signature })
+      : null
+  };
+}
+
+// RFC 8288 Link header: </users?limit=10&cursor=abc>; rel="next"
+function buildLinkHeader(path, query, { next, prev }) {
+  const link = (cursor, rel) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key !== 'cursor' && typeof value === 'string') params.set(key, value);
+    }
+    params.set('cursor', cursor);
+    return `<${path}?${params}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (next) links.push(link(next, 'next'));
+  if (prev) links.push(link(prev, 'prev'));
+  return links.join(', ');
+}
+
+module.exports = { parseListQuery, applyListQuery, buildLinkHeader };
+
+/* INTERVIEW TAKEAWAYS:
+1. Offset pagination skips/duplicates rows when data changes between pages
+2. Cursor (keyset) pagination remembers the last row's sort values instead
+3. Always add a unique tie-breaker (id) to the sort for stable cursors
+4. Keep cursors opaque so the encoding can change without breaking clients
+5. Validate every query parameter and report all errors at once (400)
+6. Link headers (rel="next"/"prev") let generic clients paginate
+*/
@@ -4,165 +4,226 @@
  */
 
 const http = require('http');
-const url = require('url');
-
-// In-memory database
-let users = [
-  { id: 1, name: 'Alice', email: 'alice@example.com', age: 30 },
-  { id: 2, name: 'Bob', email: 'bob@example.com', age: 25 },
-  { id: 3, name: 'Charlie', email: 'charlie@example.com', age: 35 }
-];
-let nextId = 4;
-
-// Helper: Parse request body
-function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (err) {
-        reject(err);
-      }
-    });
-    req.on('error', reject);
-  });
-}
+const { createRouter } = require('./router');
+const { parseBody, HttpError } = require('./body-parser');
+const { createUserRepository, VersionConflictError } = require('../15-database/user-repository');
+const { etagFor, isNotModified, isPreconditionFailed } = require('./conditional-requests');
+const { parseListQuery, applyListQuery, buildLinkHeader } = require('./list-query');
+
+// Storage: in-memory by default, journal file when USERS_FILE is set
+const users = createUserRepository({
+  file: process.env.USERS_FILE,
+  seed: [
+    { id: 1, name: 'Alice', email: 'alice@example.com', age: 30, createdAt: '2024-01-15T09:00:00.000Z' },
+    { id: 2, name: 'Bob', email: 'bob@example.com', age: 25, createdAt: '2024-03-02T14:30:00.000Z' },
+    { id: 3, name: 'Charlie', email: 'charlie@example.com', age: 35, createdAt: '2024-06-20T08:15:00.000Z' }
+  ]
+});
 
 // Helper: Send JSON response
-function sendJSON(res, statusCode, data) {
-  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+function sendJSON(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
   res.end(JSON.stringify(data));
 }
 
 // Helper: Send error
-function sendError(res, statusCode, message) {
-  sendJSON(res, statusCode, { error: message });
+function sendError(res, statusCode, message, details) {
+  sendJSON(res, statusCode, details ? { error: message, details } : { error: message });
+}
+
+// JSON bodies can be null, arrays or scalars; text/plain parses to a string
+function isPlainObject(body) {
+  return body !== null && typeof body === 'object' && !Array.isArray(body);
+}
+
+// Form bodies carry every field as a string; ages are stored as numbers.
+// Missing -> 0, not a whole number -> undefined
+function parseAge(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const age = Number(value);
+  return Number.isInteger(age) && age >= 0 ? age : undefined;
 }
 
-// Router
-async function router(req, res) {
-  const parsedUrl = url.parse(req.url, true);
-  const pathname = parsedUrl.pathname;
-  const method = req.method;
+// Routes
+const router = createRouter();
+
+// GET /users - List users (filter, sort, fields, cursor pagination)
+router.get('/users', async (req, res) => {
+  const { options, errors } = parseListQuery(req.query);
   
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (errors.length) {
+    sendError(res, 400, 'Invalid query parameters', errors);
+    return;
+  }
+  
+  const result = applyListQuery(await users.findAll(), options);
+  const link = buildLinkHeader('/users', req.query, result);
+  
+  sendJSON(res, 200, {
+    success: true,
+    count: result.data.length,
+    total: result.total,
+    limit: options.limit,
+    data: result.data,
+    cursors: { next: result.next, prev: result.prev }
+  }, link ? { Link: link } : {});
+});
+
+// GET /users/:id - Get single user
+router.get('/users/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const user = await users.findById(id);
+  
+  if (!user) {
+    sendError(res, 404, 'User not found');
+    return;
+  }
+  
+  const etag = etagFor(user);
   
-  if (method === 'OPTIONS') {
-    res.writeHead(200);
+  // Client already has this version
+  if (isNotModified(req, etag)) {
+    res.writeHead(304, { ETag: etag });
     res.end();
     return;
   }
   
-  try {
-    // GET /users - List all users
-    if (pathname === '/users' && method === 'GET') {
-      const { name, minAge } = parsedUrl.query;
-      let filtered = users;
-      
-      if (name) {
-        filtered = filtered.filter(u => 
-          u.name.toLowerCase().includes(name.toLowerCase())
-        );
-      }
-      
-      if (minAge) {
-        filtered = filtered.filter(u => u.age >= parseInt(minAge));
-      }
-      
-      sendJSON(res, 200, {
-        success: true,
-        count: filtered.length,
-        data: filtered
-      });
-    }
-    
-    // GET /users/:id - Get single user
-    else if (pathname.match(/^\/users\/\d+$/) && method === 'GET') {
-      const id = parseInt(pathname.split('/')[2]);
-      const user = users.find(u => u.id === id);
-      
-      if (!user) {
-        sendError(res, 404, 'User not found');
-      } else {
-        sendJSON(res, 200, { success: true, data: user });
-      }
-    }
-    
-    // POST /users - Create user
-    else if (pathname === '/users' && method === 'POST') {
-      const body = await parseBody(req);
-      
-      // Validation
-      if (!body.name || !body.email) {
-        sendError(res, 400, 'Name and email are required');
-        return;
-      }
-      
-      // Check duplicate email
-      if (users.find(u => u.email === body.email)) {
-        sendError(res, 409, 'Email already exists');
-        return;
-      }
-      
-      const newUser = {
-        id: nextId++,
-        name: body.name,
-        email: body.email,
-        age: body.age || 0
-      };
-      
-      users.push(newUser);
-      sendJSON(res, 201, { success: true, data: newUser });
+  sendJSON(res, 200, { success: true, data: user }, { ETag: etag });
+});
+
+// POST /users - Create user
+router.post('/users', async (req, res) => {
+  const body = await parseBody(req);
+  
+  if (!isPlainObject(body)) {
+    sendError(res, 400, 'Request body must be an object');
+    return;
+  }
+  
+  // Validation
+  if (!body.name || !body.email) {
+    sendError(res, 400, 'Name and email are required');
+    return;
+  }
+  
+  const age = parseAge(body.age);
+  if (age === undefined) {
+    sendError(res, 400, 'Age must be a non-negative integer');
+    return;
+  }
+  
+  // Check duplicate email
+  const existing = await users.findAll();
+  if (existing.find(u => u.email === body.email)) {
+    sendError(res, 409, 'Email already exists');
+    return;
+  }
+  
+  const newUser = await users.create({
+    name: body.name,
+    email: body.email,
+    age,
+    createdAt: new Date().toISOString()
+  });
+  
+  sendJSON(res, 201, { success: true, data: newUser }, { ETag: etagFor(newUser) });
+});
+
+// PUT /users/:id - Update user
+router.put('/users/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const current = await users.findById(id);
+  
+  if (!current) {
+    sendError(res, 404, 'User not found');
+    return;
+  }
+  
+  if (isPreconditionFailed(req, etagFor(current))) {
+    sendError(res, 412, 'User has been modified', { etag: etagFor(current) });
+    return;
+  }
+  
+  const body = await parseBody(req);
+  
+  // Only merge objects
+  if (!isPlainObject(body)) {
+    sendError(res, 400, 'Request body must be an object');
+    return;
+  }
+  
+  if ('age' in body) {
+    body.age = parseAge(body.age);
+    if (body.age === undefined) {
+      sendError(res, 400, 'Age must be a non-negative integer');
+      return;
     }
+  }
+  
+  // Only write if nobody else did since the precondition check
+  const updatedUser = await users.update(id, body, { expectedVersion: current.version });
+  
+  sendJSON(res, 200, { success: true, data: updatedUser }, { ETag: etagFor(updatedUser) });
+});
+
+// DELETE /users/:id - Delete user
+router.delete('/users/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const current = await users.findById(id);
+  
+  if (!current) {
+    sendError(res, 404, 'User not found');
+    return;
+  }
+  
+  if (isPreconditionFailed(req, etagFor(current))) {
+    sendError(res, 412, 'User has been modified', { etag: etagFor(current) });
+    return;
+  }
+  
+  const deleted = await users.remove(id, { expectedVersion: current.version });
+  sendJSON(res, 200, { success: true, data: deleted });
+});
+
+// Request handler
+async function requestHandler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Link');
+  
+  try {
+    const handled = await router.handle(req, res);
     
-    // PUT /users/:id - Update user
-    else if (pathname.match(/^\/users\/\d+$/) && method === 'PUT') {
-      const id = parseInt(pathname.split('/')[2]);
-      const userIndex = users.findIndex(u => u.id === id);
-      
-      if (userIndex === -1) {
-        sendError(res, 404, 'User not found');
-        return;
-      }
-      
-      const body = await parseBody(req);
-      const updatedUser = { ...users[userIndex], ...body, id };
-      users[userIndex] = updatedUser;
-      
-      sendJSON(res, 200, { success: true, data: updatedUser });
+    // 404 - Not found
+    if (!handled) {
+      sendError(res, 404, 'Route not found');
     }
-    
-    // DELETE /users/:id - Delete user
-    else if (pathname.match(/^\/users\/\d+$/) && method === 'DELETE') {
-      const id = parseInt(pathname.split('/')[2]);
-      const userIndex = users.findIndex(u => u.id === id);
-      
-      if (userIndex === -1) {
-        sendError(res, 404, 'User not found');
-        return;
+  } catch (err) {
+    // Client errors from body parsing (400, 413, 415)
+    if (err instanceof HttpError) {
+      // Don't keep reading an oversized body - drop the connection once answered
+      if (err.statusCode === 413) {
+        res.setHeader('Connection', 'close');
+        res.on('finish', () => req.destroy());
       }
-      
-      const deleted = users.splice(userIndex, 1)[0];
-      sendJSON(res, 200, { success: true, data: deleted });
+      sendError(res, err.statusCode, err.message, err.details);
+      return;
     }
     
-    // 404 - Not found
-    else {
-      sendError(res, 404, 'Route not found');
+    // Another write landed between the If-Match check and ours
+    if (err instanceof VersionConflictError) {
+      sendError(res, 412, 'User has been modified');
+      return;
     }
     
-  } catch (err) {
     console.error('Server error:', err);
     sendError(res, 500, 'Internal server error');
   }
 }
 
-const server = http.createServer(router);
+const server = http.createServer(requestHandler);
 
 const PORT = 3000;
 server.listen(PORT, () => {
@@ -170,6 +231,7 @@ server.listen(PORT, () => {
   console.log('\nAvailable endpoints:');
   console.log('GET    /users           - List all users');
   console.log('GET    /users?name=Alice - Search users');
+  console.log('GET    /users?sort=-age,name&fields=name,email&limit=2 - Sort, select, paginate');
   console.log('GET    /users/:id       - Get user by ID');
   console.log('POST   /users           - Create user');
   console.log('PUT    /users/:id       - Update user');
@@ -179,14 +241,21 @@ server.listen(PORT, () => {
   console.log('curl -X POST http://localhost:3000/users -H "Content-Type: application/json" -d \'{"name":"Dave","email":"dave@example.com","age":28}\'');
   console.log('curl -X PUT http://localhost:3000/users/1 -H "Content-Type: application/json" -d \'{"age":31}\'');
   console.log('curl -X DELETE http://localhost:3000/users/1');
+  console.log('curl -i http://localhost:3000/users/1 -H \'If-None-Match: "1-1"\'');
+  console.log('curl -X PUT http://localhost:3000/users/1 -H \'If-Match: "1-1"\' -H "Content-Type: application/json" -d \'{"age":32}\'');
 });
 
 /* INTERVIEW TAKEAWAYS:
 1. Parse URL and query parameters
 2. Handle different HTTP methods
-3. Parse JSON request body
+3. Parse request bodies with a size limit (JSON, form, text)
 4. Validate input data
 5. Handle errors properly
 6. Use proper status codes
 7. Enable CORS for browser access
+8. Declarative routes with :params instead of regex if/else chains
+9. 405 + Allow header when the path exists but the method doesn't
+10. Storage behind a repository so it can be swapped (USERS_FILE=./data/users.journal)
+11. ETags: If-None-Match -> 304, If-Match -> 412
+12. Cursor pagination with Link headers instead of page numbers
 */
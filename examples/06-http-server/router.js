@@ -0,0 +1,130 @@
+/**
+ * Declarative Router - Interview Question
+ * "How does Express match routes like /users/:id under the hood?"
+ */
+
+const url = require('url');
+
+// Turn '/users/:id' into a regex plus the list of param names
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+function createRouter() {
+  // Each route: { path, regex, keys, handlers: Map<METHOD, handler> }
+  const routes = [];
+
+  function route(method, path, handler) {
+    let entry = routes.find(r => r.path === path);
+
+    if (!entry) {
+      entry = { path, ...compilePath(path), handlers: new Map() };
+      routes.push(entry);
+    }
+
+    entry.handlers.set(method.toUpperCase(), handler);
+    return api;
+  }
+
+  // Methods a path answers to, including the automatic HEAD and OPTIONS
+  function allowedMethods(entry) {
+    const methods = new Set(entry.handlers.keys());
+    if (methods.has('GET')) methods.add('HEAD');
+    methods.add('OPTIONS');
+    return [...methods];
+  }
+
+  function match(pathname) {
+    for (const entry of routes) {
+      const result = entry.regex.exec(pathname);
+      if (result) {
+        const params = {};
+        try {
+          entry.keys.forEach((key, i) => {
+            params[key] = decodeURIComponent(result[i + 1]);
+          });
+        } catch (err) {
+          return { entry, params: null }; // Malformed escape like %E0
+        }
+        return { entry, params };
+      }
+    }
+    return null;
+  }
+
+  // Resolves to true if a route answered, false if nothing matched the path
+  async function handle(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    const matched = match(parsedUrl.pathname);
+
+    if (!matched) return false;
+
+    const { entry, params } = matched;
+
+    if (!params) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Malformed URL encoding in path' }));
+      return true;
+    }
+    const allow = allowedMethods(entry).join(', ');
+
+    req.params = params;
+    req.query = parsedUrl.query;
+
+    let handler = entry.handlers.get(req.method);
+
+    // HEAD falls back to GET; Node drops the body for HEAD responses
+    if (!handler && req.method === 'HEAD') {
+      handler = entry.handlers.get('GET');
+    }
+
+    if (!handler && req.method === 'OPTIONS') {
+      res.writeHead(204, { Allow: allow });
+      res.end();
+      return true;
+    }
+
+    if (!handler) {
+      res.writeHead(405, { 'Content-Type': 'application/json', Allow: allow });
+      res.end(JSON.stringify({ error: `Method ${req.method} not allowed` }));
+      return true;
+    }
+
+    await handler(req, res);
+    return true;
+  }
+
+  const api = {
+    route,
+    handle,
+    get: (path, handler) => route('GET', path, handler),
+    post: (path, handler) => route('POST', path, handler),
+    put: (path, handler) => route('PUT', path, handler),
+    patch: (path, handler) => route('PATCH', path, handler),
+    delete: (path, handler) => route('DELETE', path, handler)
+  };
+
+  return api;
+}
+
+module.exports = { createRouter };
+
+/* INTERVIEW TAKEAWAYS:
+1. Route patterns compile to regexes with capture groups for params
+2. 404 = no path matched, 405 = path matched but method didn't
+3. 405 responses must include an Allow header
+4. HEAD is GET without a body
+5. OPTIONS reports the allowed methods (also used by CORS preflight)
+*/
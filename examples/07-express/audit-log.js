@@ -0,0 +1,99 @@
+/**
+ * Audit Trail - Interview Question
+ * "How do you answer 'who changed this record, and when'?"
+ *
+ * Every write appends an entry that is never updated or deleted:
+ *   { id, at, actor, action, userId, changes: { field: { from, to } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bookkeeping fields that change on every write - not interesting in a diff
+const IGNORED_FIELDS = ['version', 'updatedAt'];
+
+// Field-level before/after diff of two records (either may be null)
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+
+  return changes;
+}
+
+class AuditLog {
+  // With a file, entries are appended as JSON lines and reloaded on startup
+  constructor({ file } = {}) {
+    this.file = file;
+    this.entries = [];
+    this.queue = Promise.resolve(); // Keeps appends in order
+    this.ready = file ? this.load() : Promise.resolve();
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      return;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (err) {
+        // Torn last line from a crash - skip it
+      }
+    }
+  }
+
+  async record({ actor, action, userId, before = null, after = null }) {
+    await this.ready;
+
+    const entry = Object.freeze({
+      id: this.entries.length + 1,
+      at: new Date().toISOString(),
+      actor,
+      action,
+      userId,
+      changes: diff(before, after)
+    });
+    this.entries.push(entry);
+
+    if (this.file) {
+      const line = JSON.stringify(entry) + '\n';
+      const write = this.queue.then(() => fs.promises.appendFile(this.file, line));
+      this.queue = write.catch(() => {}); // Entries stay in order; one failure doesn't stop the rest
+      await write;
+    }
+
+    return entry;
+  }
+
+  async find({ userId } = {}) {
+    await this.ready;
+    return this.entries.filter(entry => userId === undefined || entry.userId === userId);
+  }
+}
+
+module.exports = { AuditLog, diff };
+
+/* INTERVIEW POINTS:
+1. Audit logs are append-only - never edit history
+2. Record the actor, the action, the time and a field-level diff
+3. Soft delete + audit log = deletes can be explained and undone
+4. Write the audit entry in the same flow as the change it describes
+5. In production: separate store, restricted access, retention policy
+*/
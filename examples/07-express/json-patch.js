@@ -0,0 +1,191 @@
+/**
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) - Interview Question
+ * "What's the difference between PUT, PATCH with merge-patch and JSON Patch?"
+ *
+ * Merge Patch: { "age": 31, "nickname": null }  -> set age, remove nickname
+ * JSON Patch:  [{ "op": "replace", "path": "/age", "value": 31 }]
+ */
+
+// Raised when a patch document can't be applied to the target
+class PatchError extends Error {
+  constructor(message, statusCode = 422, details) {
+    super(message);
+    this.name = 'PatchError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Keys that reach Object.prototype instead of the document (prototype pollution)
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// RFC 7396: objects merge recursively, null deletes, anything else replaces
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) return clone(patch);
+
+  const result = isObject(target) ? { ...target } : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (FORBIDDEN_KEYS.includes(key)) {
+      throw new PatchError(`Key '${key}' is not allowed`, 400);
+    }
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+
+  return result;
+}
+
+// '/a/b~1c/0' -> ['a', 'b/c', '0'] (RFC 6901 JSON Pointer)
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new PatchError(`Invalid JSON Pointer '${pointer}'`, 400);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => {
+      const decoded = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (FORBIDDEN_KEYS.includes(decoded)) {
+        throw new PatchError(`Invalid JSON Pointer '${pointer}'`, 400);
+      }
+      return decoded;
+    });
+}
+
+// Walk to the parent of the pointer's last token
+function resolveParent(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) throw new PatchError('Cannot modify the document root', 422);
+
+  const key = tokens.pop();
+  let parent = doc;
+
+  for (const token of tokens) {
+    // Own properties only - never walk into inherited ones
+    parent = parent !== null && typeof parent === 'object' && Object.hasOwn(parent, token)
+      ? parent[token]
+      : undefined;
+    if (parent === undefined || parent === null || typeof parent !== 'object') {
+      throw new PatchError(`Path '${pointer}' does not exist`);
+    }
+  }
+
+  return { parent, key };
+}
+
+function arrayIndex(parent, key, pointer, allowEnd) {
+  if (allowEnd && key === '-') return parent.length;
+  const index = Number(key);
+  const max = allowEnd ? parent.length : parent.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(key) || index > max) {
+    throw new PatchError(`Path '${pointer}' does not exist`);
+  }
+  return index;
+}
+
+function getValue(doc, pointer) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, pointer, false)];
+  if (!Object.hasOwn(parent, key)) throw new PatchError(`Path '${pointer}' does not exist`);
+  return parent[key];
+}
+
+function addValue(doc, pointer, value) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+  else parent[key] = value;
+}
+
+function removeValue(doc, pointer) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+  if (!Object.hasOwn(parent, key)) throw new PatchError(`Path '${pointer}' does not exist`);
+  const value = parent[key];
+  delete parent[key];
+  return value;
+}
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// RFC 6902: operations apply in order; any failure aborts the whole patch
+// Members each operation needs besides op and path (RFC 6902 section 4)
+function checkMembers(operation) {
+  const { op, from } = operation;
+  if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+    throw new PatchError(`'${op}' operation needs a 'value'`, 400);
+  }
+  if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+    throw new PatchError(`'${op}' operation needs a 'from' pointer`, 400);
+  }
+}
+
+function applyJsonPatch(target, operations) {
+  const doc = clone(target);
+
+  operations.forEach((operation, i) => {
+    const { op, path, from, value } = operation;
+
+    try {
+      checkMembers(operation);
+      switch (op) {
+        case 'add':
+          addValue(doc, path, clone(value));
+          break;
+        case 'remove':
+          removeValue(doc, path);
+          break;
+        case 'replace':
+          removeValue(doc, path);
+          addValue(doc, path, clone(value));
+          break;
+        case 'move':
+          if (path.startsWith(`${from}/`)) {
+            throw new PatchError(`Cannot move '${from}' into its own child`);
+          }
+          addValue(doc, path, removeValue(doc, from));
+          break;
+        case 'copy':
+          addValue(doc, path, clone(getValue(doc, from)));
+          break;
+        case 'test':
+          if (!deepEqual(getValue(doc, path), value)) {
+            throw new PatchError(`Test failed at '${path}'`, 409);
+          }
+          break;
+        default:
+          throw new PatchError(`Unknown operation '${op}'`, 400);
+      }
+    } catch (err) {
+      if (err instanceof PatchError) err.details = { operation: i, ...operation };
+      throw err;
+    }
+  });
+
+  return doc;
+}
+
+// Top-level fields a patch touches - used to reject protected fields
+function patchedFields(operations) {
+  return operations
+    .filter(operation => operation.op !== 'test') // Tests only read
+    .flatMap(operation => [operation.path, operation.op === 'move' ? operation.from : undefined])
+    .filter(pointer => typeof pointer === 'string' && pointer.startsWith('/'))
+    // Decoded without parsePointer's checks; invalid pointers fail in applyJsonPatch
+    .map(pointer => pointer.slice(1).split('/')[0].replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+module.exports = { applyMergePatch, applyJsonPatch, patchedFields, PatchError };
+
+/* INTERVIEW POINTS:
+1. PUT replaces the whole resource; PATCH sends only the changes
+2. Merge Patch is simple, but can't set a field to null or edit arrays by index
+3. JSON Patch is a list of operations (add/remove/replace/move/copy/test)
+4. 'test' ops give optimistic concurrency inside the patch itself
+5. Patches are atomic: apply to a copy and only save if every op succeeds
+6. Always re-validate the patched result - a valid patch can produce invalid data
+*/
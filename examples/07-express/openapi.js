@@ -0,0 +1,246 @@
+/**
+ * OpenAPI from Route Definitions - Interview Question
+ * "How do you keep API docs and validation from drifting apart?"
+ *
+ * Each route is declared once with its schemas. The same definition
+ * validates incoming requests and generates /openapi.json.
+ */
+
+// Validate a value against a (small) JSON Schema subset.
+// Returns [{ field, message }] - every failure, not just the first.
+function validate(schema, value, field = 'body', components = {}) {
+  const errors = [];
+
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return validate(components[name], value, field, components);
+  }
+
+  if (value === undefined || value === null) {
+    if (value === null && (schema.nullable || !schema.type)) return errors; // Untyped accepts anything
+    errors.push({ field, message: 'Is required' });
+    return errors;
+  }
+
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  const typeOk = {
+    integer: Number.isInteger(value),
+    number: type === 'number' && Number.isFinite(value),
+    string: type === 'string',
+    boolean: type === 'boolean',
+    array: type === 'array',
+    object: type === 'object' && !Array.isArray(value)
+  };
+
+  if (schema.type && !typeOk[schema.type]) {
+    errors.push({ field, message: `Must be of type ${schema.type}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `Must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `Must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema.description || `Must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push({ field, message: 'Must be an ISO 8601 date' });
+    }
+  }
+
+  if (type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `Must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array' && schema.items) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `Must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `Must contain at most ${schema.maxItems} items` });
+    }
+    value.forEach((item, i) => {
+      errors.push(...validate(schema.items, item, `${field}[${i}]`, components));
+    });
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: `${field}.${key}`, message: 'Is required' });
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue; // Same as absent (JSON drops it too)
+      if (properties[key]) {
+        errors.push(...validate(properties[key], item, `${field}.${key}`, components));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${field}.${key}`, message: 'Is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Query and path values arrive as strings - convert before validating
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return value.trim() === '' ? value : Number(value);
+  }
+  if (schema.type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return value;
+}
+
+// Validate params/query/body of one route; [] when the request is valid
+function validateRequest(route, req, components) {
+  const errors = [];
+
+  for (const [location, source] of [['params', req.params], ['query', req.query]]) {
+    const declared = route[location] || {};
+
+    for (const [name, schema] of Object.entries(declared)) {
+      const field = `${location}.${name}`;
+      const raw = source[name];
+
+      if (raw === undefined) {
+        if (location === 'params' || schema.required) errors.push({ field, message: 'Is required' });
+        continue;
+      }
+      if (Array.isArray(raw) && schema.type !== 'array') {
+        errors.push({ field, message: 'Must be given only once' });
+        continue;
+      }
+      errors.push(...validate(schema, coerce(schema, raw), field, components));
+    }
+
+    // Unknown query parameters are usually typos - report them
+    if (location === 'query' && route.query) {
+      for (const name of Object.keys(source)) {
+        if (!declared[name]) errors.push({ field: `query.${name}`, message: 'Is not a known parameter' });
+      }
+    }
+  }
+
+  if (route.body) {
+    errors.push(...validate(route.body, req.body, 'body', components));
+  }
+
+  return errors;
+}
+
+// '/api/users/:id' -> '/api/users/{id}'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function createApi(app, { title, version, description, schemas = {} }) {
+  const routes = [];
+
+  // route({ method, path, summary, params, query, body, responses }, ...handlers)
+  // Use `content: { mediaType: schema }` instead of `body` when a route
+  // accepts several request formats.
+  function route(definition, ...handlers) {
+    routes.push(definition);
+
+    const validator = (req, res, next) => {
+      let body = definition.body;
+
+      if (definition.content) {
+        const type = Object.keys(definition.content).find(t => req.is(t));
+        if (!type) {
+          return res.status(415).json({
+            error: 'Unsupported media type',
+            supported: Object.keys(definition.content)
+          });
+        }
+        body = definition.content[type];
+      }
+
+      const errors = validateRequest({ ...definition, body }, req, schemas);
+      if (errors.length) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+      }
+      next();
+    };
+
+    app[definition.method](definition.path, validator, ...handlers);
+  }
+
+  function parameters(definition) {
+    const list = [];
+    for (const location of ['params', 'query']) {
+      for (const [name, schema] of Object.entries(definition[location] || {})) {
+        const { required, description: paramDescription, ...rest } = schema;
+        list.push({
+          name,
+          in: location === 'params' ? 'path' : 'query',
+          required: location === 'params' || Boolean(required),
+          description: paramDescription,
+          schema: rest
+        });
+      }
+    }
+    return list;
+  }
+
+  function document() {
+    const paths = {};
+
+    for (const definition of routes) {
+      const path = toOpenApiPath(definition.path);
+      const operation = {
+        summary: definition.summary,
+        deprecated: definition.deprecated,
+        parameters: parameters(definition),
+        responses: definition.responses || { 200: { description: 'OK' } }
+      };
+
+      const content = definition.content || (definition.body && { 'application/json': definition.body });
+      if (content) {
+        operation.requestBody = {
+          required: true,
+          content: Object.fromEntries(
+            Object.entries(content).map(([type, schema]) => [type, { schema }])
+          )
+        };
+      }
+
+      paths[path] = { ...paths[path], [definition.method]: operation };
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: { title, version, description },
+      paths,
+      components: { schemas }
+    };
+  }
+
+  return { route, document, routes };
+}
+
+module.exports = { createApi, validate };
+
+/* INTERVIEW POINTS:
+1. Single source of truth: one route definition -> docs + validation
+2. Report ALL validation errors at once (better client UX than one-by-one)
+3. Query/path values are strings - coerce before type checks
+4. additionalProperties: false blocks mass-assignment of unexpected fields
+5. OpenAPI enables client generation, mocking and contract testing
+*/
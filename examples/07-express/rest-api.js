@@ -4,10 +4,18 @@
  */
 
 const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createUserRepository, VersionConflictError } = require('../15-database/user-repository');
+const { etagFor, isNotModified, isPreconditionFailed } = require('../06-http-server/conditional-requests');
+const { parseListQuery, applyListQuery, buildLinkHeader } = require('../06-http-server/list-query');
+const { createApi, validate } = require('./openapi');
+const { applyMergePatch, applyJsonPatch, patchedFields, PatchError } = require('./json-patch');
+const { AuditLog } = require('./audit-log');
+const { UserAnalytics, parseMetrics, GROUP_BY, METRICS } = require('./user-analytics');
 const app = express();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/*+json'] })); // Includes patch formats
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -16,168 +24,721 @@ app.use((req, res, next) => {
   next();
 });
 
-// In-memory database
-let users = [
-  { id: 1, name: 'Alice', email: 'alice@example.com', age: 30 },
-  { id: 2, name: 'Bob', email: 'bob@example.com', age: 25 }
-];
-let nextId = 3;
+// Who is making the request: the verified access token issued by
+// 08-middleware/auth-middleware.js (same JWT_SECRET). Never trust identity
+// sent in plain headers - anyone could claim to be an admin.
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
-// Validation middleware
-function validateUser(req, res, next) {
-  const { name, email } = req.body;
-  
-  if (!name || name.trim().length < 2) {
-    return res.status(400).json({ error: 'Name must be at least 2 characters' });
+app.use((req, res, next) => {
+  const header = req.get('Authorization');
+  if (!header) {
+    req.actor = { id: 'anonymous', role: 'user' };
+    return next();
   }
   
-  if (!email || !email.match(/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/)) {
-    return res.status(400).json({ error: 'Valid email is required' });
+  const [scheme, token] = header.split(' ');
+  try {
+    if (scheme !== 'Bearer' || !token) throw new Error('Malformed Authorization header');
+    const payload = jwt.verify(token, JWT_SECRET);
+    const roles = payload.roles || [];
+    req.actor = { id: payload.id, role: roles.includes('admin') ? 'admin' : 'user' };
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token' });
   }
+});
+
+// Storage: in-memory by default, journal file when USERS_FILE is set
+const users = createUserRepository({
+  file: process.env.USERS_FILE,
+  seed: [
+    { id: 1, name: 'Alice', email: 'alice@example.com', age: 30, createdAt: '2024-01-15T09:00:00.000Z' },
+    { id: 2, name: 'Bob', email: 'bob@example.com', age: 25, createdAt: '2024-03-02T14:30:00.000Z' }
+  ]
+});
+
+// Append-only history of every change (AUDIT_FILE persists it)
+const auditLog = new AuditLog({ file: process.env.AUDIT_FILE });
+
+// Aggregates built once at startup, then kept current by recordChange()
+const analytics = new UserAnalytics();
+const analyticsReady = users.findAll().then(all => analytics.rebuild(all));
+
+// Async handler wrapper - forwards rejections to the error handler
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+const MAX_BULK_OPERATIONS = 100;
+const PROTECTED_FIELDS = ['id', 'version', 'createdAt', 'updatedAt', 'deletedAt']; // Server-managed
+
+// Duplicate email check shared by create, update, restore and bulk.
+// Soft-deleted users release their email; restore checks it again.
+async function emailTaken(email, exceptId) {
+  const existing = await users.findAll();
+  return existing.some(u => !u.deletedAt && u.email === email && u.id !== exceptId);
+}
+
+// Call after every successful write: audits it and updates the aggregates
+async function recordChange(actor, action, before, after) {
+  await analyticsReady;
+  analytics.apply(before, after);
   
+  const userId = (after || before).id;
+  return auditLog.record({ actor, action, userId, before, after });
+}
+
+function requireAdmin(req, res, next) {
+  if (req.actor.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
   next();
 }
 
-// Routes
+// ?includeDeleted=true shows soft-deleted users - admins only
+function includeDeleted(req, res, next) {
+  req.includeDeleted = req.query.includeDeleted === 'true';
+  if (req.includeDeleted && req.actor.role !== 'admin') {
+    return res.status(403).json({ error: 'includeDeleted requires the admin role' });
+  }
+  next();
+}
 
-// GET /api/users - List all users
-app.get('/api/users', (req, res) => {
-  const { name, minAge, page = 1, limit = 10 } = req.query;
+// Precondition middleware - loads the user and enforces If-Match
+async function loadUser(req, res, next) {
+  const user = await users.findById(parseInt(req.params.id));
   
-  let filtered = users;
+  // Soft-deleted users can only be restored
+  if (!user || user.deletedAt) {
+    return res.status(404).json({ error: 'User not found' });
+  }
   
-  // Filter by name
-  if (name) {
-    filtered = filtered.filter(u => 
-      u.name.toLowerCase().includes(name.toLowerCase())
-    );
+  if (isPreconditionFailed(req, etagFor(user))) {
+    return res.status(412).json({ error: 'User has been modified', etag: etagFor(user) });
   }
   
-  // Filter by age
-  if (minAge) {
-    filtered = filtered.filter(u => u.age >= parseInt(minAge));
+  req.current = user;
+  next();
+}
+
+// Schemas - shared by request validation and /openapi.json
+const userFields = {
+  name: {
+    type: 'string',
+    minLength: 2,
+    maxLength: 100,
+    pattern: '\\S.*\\S',
+    description: 'Must be at least 2 characters'
+  },
+  email: {
+    type: 'string',
+    pattern: '^[\\w-\\.]+@([\\w-]+\\.)+[\\w-]{2,4}$',
+    description: 'Must be a valid email'
+  },
+  age: { type: 'integer', minimum: 0, maximum: 150 }
+};
+
+const schemas = {
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      ...userFields,
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      deletedAt: { type: 'string', format: 'date-time', nullable: true },
+      version: { type: 'integer' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      at: { type: 'string', format: 'date-time' },
+      actor: {
+        type: 'object',
+        properties: { id: { type: 'string' }, role: { type: 'string' } }
+      },
+      action: { type: 'string', enum: ['create', 'update', 'patch', 'delete', 'restore', 'rollback'] },
+      userId: { type: 'integer' },
+      changes: {
+        type: 'object',
+        description: 'Changed fields as { field: { from, to } }'
+      }
+    }
+  },
+  UserInput: {
+    type: 'object',
+    required: ['name', 'email'],
+    additionalProperties: false,
+    properties: userFields
+  },
+  MergePatch: {
+    type: 'object',
+    description: 'RFC 7396 - null removes a field'
+  },
+  JsonPatch: {
+    type: 'array',
+    maxItems: 100,
+    items: {
+      type: 'object',
+      required: ['op', 'path'],
+      additionalProperties: false,
+      properties: {
+        op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+        path: { type: 'string', description: 'JSON Pointer, e.g. /age' },
+        from: { type: 'string', description: 'JSON Pointer for move and copy' },
+        value: { description: 'Value for add, replace and test' }
+      }
+    }
+  },
+  BulkOperation: {
+    type: 'object',
+    required: ['op'],
+    additionalProperties: false,
+    properties: {
+      op: { type: 'string', enum: ['create', 'update', 'delete'] },
+      id: { type: 'integer', minimum: 1, description: 'Required for update and delete' },
+      data: { type: 'object', description: 'UserInput, required for create and update' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { field: { type: 'string' }, message: { type: 'string' } }
+        }
+      }
+    }
   }
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const idParam = { id: { type: 'integer', minimum: 1 } };
+const includeDeletedParam = {
+  includeDeleted: { type: 'boolean', description: 'Include soft-deleted users (admin only)' }
+};
+const errorResponses = {
+  400: json('Validation failed', ref('Error')),
+  403: json('Admin role required', ref('Error')),
+  404: json('User not found', ref('Error'))
+};
+const userResponse = json('User', {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, data: ref('User') }
+});
+
+const api = createApi(app, {
+  title: 'Users API',
+  version: '1.0.0',
+  description: 'Express REST API example',
+  schemas
+});
+
+// Routes
+
+// GET /api/users - List users (filter, sort, fields, cursor pagination)
+api.route({
+  method: 'get',
+  path: '/api/users',
+  summary: 'List users',
+  query: {
+    name: { type: 'string', description: 'Case-insensitive substring of the name' },
+    minAge: { type: 'number' },
+    maxAge: { type: 'number' },
+    createdAfter: { type: 'string', format: 'date-time' },
+    createdBefore: { type: 'string', format: 'date-time' },
+    sort: { type: 'string', description: 'Comma-separated fields, prefix with - for descending' },
+    fields: { type: 'string', description: 'Comma-separated fields to return' },
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    cursor: { type: 'string', description: 'Opaque cursor from a previous response' },
+    ...includeDeletedParam
+  },
+  responses: {
+    200: json('Page of users', {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        data: { type: 'array', items: ref('User') },
+        cursors: {
+          type: 'object',
+          properties: {
+            next: { type: 'string', nullable: true },
+            prev: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }),
+    400: errorResponses[400],
+    403: errorResponses[403]
+  }
+}, includeDeleted, asyncHandler(async (req, res) => {
+  const { options, errors } = parseListQuery(req.query);
   
-  // Pagination
-  const start = (page - 1) * limit;
-  const end = start + parseInt(limit);
-  const paginated = filtered.slice(start, end);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+  }
+  
+  const visible = (await users.findAll()).filter(u => req.includeDeleted || !u.deletedAt);
+  const result = applyListQuery(visible, options);
+  const link = buildLinkHeader('/api/users', req.query, result);
+  
+  if (link) res.set('Link', link);
   
   res.json({
     success: true,
-    page: parseInt(page),
-    limit: parseInt(limit),
-    total: filtered.length,
-    data: paginated
+    total: result.total,
+    limit: options.limit,
+    data: result.data,
+    cursors: { next: result.next, prev: result.prev }
   });
-});
+}));
+
+// Run one bulk operation with the same rules as the single-user routes.
+// Returns a per-item result plus an undo function for atomic rollback.
+async function runBulkOperation({ op, id, data }, field, actor) {
+  if (op !== 'create' && id === undefined) {
+    return { status: 400, error: 'Validation failed', details: [{ field: `${field}.id`, message: 'Is required' }] };
+  }
+  
+  if (op !== 'create') {
+    const current = await users.findById(id);
+    if (!current || current.deletedAt) return { status: 404, error: 'User not found' };
+    
+    // Rolling back restores the previous fields under a NEW version (reusing the
+    // old one would hand out an ETag already used for other content), and says so
+    // in the audit log
+    const undo = async () => {
+      const latest = await users.findById(id);
+      const { id: _id, version, ...fields } = current;
+      const restored = await users.update(id, fields, { replace: true });
+      await recordChange(actor, 'rollback', latest, restored);
+    };
+    
+    if (op === 'delete') {
+      const now = new Date().toISOString();
+      const deleted = await users.update(id, { deletedAt: now, updatedAt: now }, { expectedVersion: current.version });
+      await recordChange(actor, 'delete', current, deleted);
+      return { status: 200, data: deleted, undo };
+    }
+    
+    const errors = validate(schemas.UserInput, data, `${field}.data`, schemas);
+    if (errors.length) return { status: 400, error: 'Validation failed', details: errors };
+    
+    if (await emailTaken(data.email, id)) return { status: 409, error: 'Email already exists' };
+    
+    const updated = await users.update(id, {
+      name: data.name,
+      email: data.email,
+      age: data.age || 0,
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: current.version });
+    await recordChange(actor, 'update', current, updated);
+    return { status: 200, data: updated, undo };
+  }
+  
+  const errors = validate(schemas.UserInput, data, `${field}.data`, schemas);
+  if (errors.length) return { status: 400, error: 'Validation failed', details: errors };
+  
+  if (await emailTaken(data.email)) return { status: 409, error: 'Email already exists' };
+  
+  const created = await users.create({
+    name: data.name,
+    email: data.email,
+    age: data.age || 0,
+    createdAt: new Date().toISOString()
+  });
+  await recordChange(actor, 'create', null, created);
+  return {
+    status: 201,
+    data: created,
+    undo: async () => {
+      await users.remove(created.id);
+      await recordChange(actor, 'rollback', created, null);
+    }
+  };
+}
+
+// POST /api/users/bulk - Many creates/updates/deletes in one request
+api.route({
+  method: 'post',
+  path: '/api/users/bulk',
+  summary: 'Bulk create, update and delete users',
+  query: {
+    atomic: { type: 'boolean', description: 'Roll back every operation if any fails' }
+  },
+  body: {
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_BULK_OPERATIONS,
+    items: ref('BulkOperation')
+  },
+  responses: {
+    200: { description: 'Atomic batch applied' },
+    207: { description: 'Per-operation results (non-atomic)' },
+    400: errorResponses[400]
+  }
+}, asyncHandler(async (req, res) => {
+  const atomic = req.query.atomic === 'true';
+  const results = [];
+  const applied = [];
+  
+  for (const [index, operation] of req.body.entries()) {
+    let outcome;
+    try {
+      outcome = await runBulkOperation(operation, `body[${index}]`, req.actor);
+    } catch (err) {
+      // Keep going (or roll back) instead of failing the whole response
+      if (!(err instanceof VersionConflictError)) console.error('Bulk error:', err);
+      outcome = err instanceof VersionConflictError
+        ? { status: 412, error: 'User has been modified' }
+        : { status: 500, error: 'Internal server error' };
+    }
+    
+    const { undo, ...result } = outcome;
+    results.push({ index, op: operation.op, ...result });
+    
+    if (undo) applied.push(undo);
+    if (atomic && result.status >= 400) break;
+  }
+  
+  const failed = results.find(r => r.status >= 400);
+  
+  if (atomic && failed) {
+    // Undo in reverse order. Best effort: a database transaction would
+    // also isolate the batch from concurrent requests.
+    for (const undo of applied.reverse()) {
+      await undo();
+    }
+    
+    // Operations that never ran or were rolled back: 424 Failed Dependency
+    const rolledBack = req.body.map((operation, index) =>
+      results[index] && results[index].status >= 400
+        ? results[index]
+        : { index, op: operation.op, status: 424, error: 'Rolled back' }
+    );
+    return res.status(failed.status).json({ success: false, atomic, results: rolledBack });
+  }
+  
+  res.status(atomic ? 200 : 207).json({ success: !failed, atomic, results });
+}));
 
 // GET /api/users/:id - Get user by ID
-app.get('/api/users/:id', (req, res) => {
-  const user = users.find(u => u.id === parseInt(req.params.id));
+api.route({
+  method: 'get',
+  path: '/api/users/:id',
+  summary: 'Get user',
+  params: idParam,
+  query: includeDeletedParam,
+  responses: { 200: userResponse, 304: { description: 'Not modified' }, ...errorResponses }
+}, includeDeleted, asyncHandler(async (req, res) => {
+  const user = await users.findById(parseInt(req.params.id));
   
-  if (!user) {
+  if (!user || (user.deletedAt && !req.includeDeleted)) {
     return res.status(404).json({ error: 'User not found' });
   }
   
+  const etag = etagFor(user);
+  res.set('ETag', etag);
+  
+  // Client already has this version
+  if (isNotModified(req, etag)) {
+    return res.status(304).end();
+  }
+  
   res.json({ success: true, data: user });
-});
+}));
 
 // POST /api/users - Create user
-app.post('/api/users', validateUser, (req, res) => {
+api.route({
+  method: 'post',
+  path: '/api/users',
+  summary: 'Create user',
+  body: ref('UserInput'),
+  responses: {
+    201: userResponse,
+    400: errorResponses[400],
+    409: json('Email already exists', ref('Error'))
+  }
+}, asyncHandler(async (req, res) => {
   const { name, email, age } = req.body;
   
   // Check duplicate email
-  if (users.find(u => u.email === email)) {
+  if (await emailTaken(email)) {
     return res.status(409).json({ error: 'Email already exists' });
   }
   
-  const newUser = {
-    id: nextId++,
+  const newUser = await users.create({
     name,
     email,
     age: age || 0,
     createdAt: new Date().toISOString()
-  };
+  });
+  await recordChange(req.actor, 'create', null, newUser);
   
-  users.push(newUser);
-  res.status(201).json({ success: true, data: newUser });
-});
+  res.status(201).set('ETag', etagFor(newUser)).json({ success: true, data: newUser });
+}));
 
 // PUT /api/users/:id - Update user
-app.put('/api/users/:id', validateUser, (req, res) => {
-  const id = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === id);
-  
-  if (userIndex === -1) {
-    return res.status(404).json({ error: 'User not found' });
+api.route({
+  method: 'put',
+  path: '/api/users/:id',
+  summary: 'Replace user',
+  params: idParam,
+  body: ref('UserInput'),
+  responses: {
+    200: userResponse,
+    ...errorResponses,
+    409: json('Email already exists', ref('Error')),
+    412: json('User has been modified', ref('Error'))
   }
-  
+}, asyncHandler(loadUser), asyncHandler(async (req, res) => {
+  const id = req.current.id;
   const { name, email, age } = req.body;
   
   // Check duplicate email (excluding current user)
-  if (users.find(u => u.email === email && u.id !== id)) {
+  if (await emailTaken(email, id)) {
     return res.status(409).json({ error: 'Email already exists' });
   }
   
-  const updatedUser = {
-    ...users[userIndex],
+  const updatedUser = await users.update(id, {
     name,
     email,
-    age,
+    age: age || 0, // Same default as create; never store undefined
     updatedAt: new Date().toISOString()
-  };
+  }, { expectedVersion: req.current.version });
+  await recordChange(req.actor, 'update', req.current, updatedUser);
   
-  users[userIndex] = updatedUser;
-  res.json({ success: true, data: updatedUser });
-});
+  res.set('ETag', etagFor(updatedUser)).json({ success: true, data: updatedUser });
+}));
 
 // PATCH /api/users/:id - Partial update
-app.patch('/api/users/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === id);
+// application/merge-patch+json (or plain JSON) -> RFC 7396
+// application/json-patch+json                 -> RFC 6902
+api.route({
+  method: 'patch',
+  path: '/api/users/:id',
+  summary: 'Update some user fields',
+  params: idParam,
+  content: {
+    'application/merge-patch+json': ref('MergePatch'),
+    'application/json-patch+json': ref('JsonPatch'),
+    'application/json': ref('MergePatch')
+  },
+  responses: {
+    200: userResponse,
+    ...errorResponses,
+    409: json('Email already exists or a test operation failed', ref('Error')),
+    412: json('User has been modified', ref('Error')),
+    415: json('Unsupported patch format', ref('Error')),
+    422: json('Patch cannot be applied', ref('Error'))
+  }
+}, asyncHandler(loadUser), asyncHandler(async (req, res) => {
+  const current = req.current;
+  const isJsonPatch = req.is('application/json-patch+json');
+  
+  // Reject patches touching server-managed fields
+  const touched = isJsonPatch ? patchedFields(req.body) : Object.keys(req.body);
+  const protectedHits = [...new Set(touched.filter(f => PROTECTED_FIELDS.includes(f)))];
+  if (protectedHits.length) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: protectedHits.map(f => ({ field: `body.${f}`, message: 'Is read-only' }))
+    });
+  }
+  
+  let patched;
+  try {
+    patched = isJsonPatch
+      ? applyJsonPatch(current, req.body)
+      : applyMergePatch(current, req.body);
+  } catch (err) {
+    if (!(err instanceof PatchError)) throw err;
+    return res.status(err.statusCode).json({ error: err.message, details: err.details });
+  }
+  
+  // The result must satisfy the same rules as PUT
+  const { id, version, createdAt, updatedAt, ...fields } = patched;
+  const errors = validate(schemas.UserInput, fields, 'result', schemas);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+  
+  if (await emailTaken(fields.email, current.id)) {
+    return res.status(409).json({ error: 'Email already exists' });
+  }
+  
+  const updatedUser = await users.update(current.id, {
+    ...fields,
+    ...(current.createdAt && { createdAt: current.createdAt }),
+    updatedAt: new Date().toISOString()
+  }, { expectedVersion: current.version, replace: true }); // Removed fields stay removed
+  await recordChange(req.actor, 'patch', current, updatedUser);
+  
+  res.set('ETag', etagFor(updatedUser)).json({ success: true, data: updatedUser });
+}));
+
+// DELETE /api/users/:id - Soft delete (sets deletedAt, can be restored)
+api.route({
+  method: 'delete',
+  path: '/api/users/:id',
+  summary: 'Delete user',
+  params: idParam,
+  responses: {
+    200: userResponse,
+    ...errorResponses,
+    412: json('User has been modified', ref('Error'))
+  }
+}, asyncHandler(loadUser), asyncHandler(async (req, res) => {
+  const now = new Date().toISOString();
+  const deleted = await users.update(req.current.id, {
+    deletedAt: now,
+    updatedAt: now
+  }, { expectedVersion: req.current.version });
+  await recordChange(req.actor, 'delete', req.current, deleted);
   
-  if (userIndex === -1) {
+  res.json({ success: true, data: deleted });
+}));
+
+// POST /api/users/:id/restore - Undo a soft delete
+api.route({
+  method: 'post',
+  path: '/api/users/:id/restore',
+  summary: 'Restore a deleted user (admin only)',
+  params: idParam,
+  responses: {
+    200: userResponse,
+    ...errorResponses,
+    409: json('User is not deleted, or its email is taken', ref('Error'))
+  }
+}, requireAdmin, asyncHandler(async (req, res) => {
+  const user = await users.findById(parseInt(req.params.id));
+  
+  if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
   
-  const updates = req.body;
-  const updatedUser = {
-    ...users[userIndex],
-    ...updates,
-    id, // Prevent ID change
+  if (!user.deletedAt) {
+    return res.status(409).json({ error: 'User is not deleted' });
+  }
+  
+  // Someone may have registered the same email since the delete
+  if (await emailTaken(user.email, user.id)) {
+    return res.status(409).json({ error: 'Email already exists' });
+  }
+  
+  const { deletedAt, ...fields } = user;
+  const restored = await users.update(user.id, {
+    ...fields,
     updatedAt: new Date().toISOString()
-  };
+  }, { expectedVersion: user.version, replace: true });
+  await recordChange(req.actor, 'restore', user, restored);
   
-  users[userIndex] = updatedUser;
-  res.json({ success: true, data: updatedUser });
-});
+  res.set('ETag', etagFor(restored)).json({ success: true, data: restored });
+}));
 
-// DELETE /api/users/:id - Delete user
-app.delete('/api/users/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === id);
+// GET /api/users/:id/audit - Who changed this user, and when
+api.route({
+  method: 'get',
+  path: '/api/users/:id/audit',
+  summary: 'Audit trail for a user (admin only)',
+  params: idParam,
+  responses: {
+    200: json('Audit entries, oldest first', {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('AuditEntry') }
+      }
+    }),
+    ...errorResponses
+  }
+}, requireAdmin, asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const entries = await auditLog.find({ userId });
   
-  if (userIndex === -1) {
+  if (!entries.length && !(await users.findById(userId))) {
     return res.status(404).json({ error: 'User not found' });
   }
   
-  const deleted = users.splice(userIndex, 1)[0];
-  res.json({ success: true, data: deleted });
-});
+  res.json({ success: true, data: entries });
+}));
+
+// GET /api/analytics - Grouped aggregates, maintained on every write
+api.route({
+  method: 'get',
+  path: '/api/analytics',
+  summary: 'User analytics (group by domain, age bucket or creation month)',
+  query: {
+    groupBy: { type: 'string', enum: GROUP_BY, description: 'Omit for a single overall group' },
+    metrics: {
+      type: 'string',
+      description: `Comma-separated: ${METRICS.join(', ')} or pNN percentiles (e.g. p50,p95). Metrics are over age.`
+    }
+  },
+  responses: {
+    200: json('Aggregates per group', {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        groupBy: { type: 'string', nullable: true },
+        metrics: { type: 'array', items: { type: 'string' } },
+        data: { type: 'array', items: { type: 'object' } }
+      }
+    }),
+    400: errorResponses[400]
+  }
+}, asyncHandler(async (req, res) => {
+  const { metrics, errors } = parseMetrics(req.query.metrics);
+  
+  if (errors.length) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+  
+  await analyticsReady;
+  const groupBy = req.query.groupBy || null;
+  
+  res.json({
+    success: true,
+    groupBy,
+    metrics,
+    data: analytics.query({ groupBy: groupBy || 'all', metrics })
+  });
+}));
 
-// GET /api/stats - Statistics
-app.get('/api/stats', (req, res) => {
-  const avgAge = users.reduce((sum, u) => sum + u.age, 0) / users.length;
+// GET /api/stats - Kept for existing clients, now served from the aggregates
+api.route({
+  method: 'get',
+  path: '/api/stats',
+  summary: 'User statistics (use /api/analytics)',
+  deprecated: true
+}, asyncHandler(async (req, res) => {
+  await analyticsReady;
+  const [overall] = analytics.query({ metrics: ['count', 'avg'] });
+  const domains = analytics.query({ groupBy: 'domain', metrics: [] }).map(row => row.group);
   
   res.json({
     success: true,
     data: {
-      totalUsers: users.length,
-      averageAge: avgAge.toFixed(2),
-      domains: [...new Set(users.map(u => u.email.split('@')[1]))]
+      totalUsers: overall ? overall.count : 0,
+      averageAge: overall && overall.avg !== null ? overall.avg.toFixed(2) : null,
+      domains
     }
   });
+}));
+
+// GET /openapi.json - Generated from the route definitions above
+app.get('/openapi.json', (req, res) => {
+  res.json(api.document());
 });
 
 // 404 handler
@@ -187,6 +748,19 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+  // Another write landed between the If-Match check and ours
+  if (err instanceof VersionConflictError) {
+    return res.status(412).json({ error: 'User has been modified' });
+  }
+  
+  // Client errors from body-parser (malformed JSON, payload too large)
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body' });
+  }
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  
   console.error('Error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -194,14 +768,10 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
-  console.log('\nEndpoints:');
-  console.log('GET    /api/users           - List users (query: name, minAge, page, limit)');
-  console.log('GET    /api/users/:id       - Get user');
-  console.log('POST   /api/users           - Create user');
-  console.log('PUT    /api/users/:id       - Update user');
-  console.log('PATCH  /api/users/:id       - Partial update');
-  console.log('DELETE /api/users/:id       - Delete user');
-  console.log('GET    /api/stats           - Statistics');
+  console.log('\nEndpoints (full docs at /openapi.json):');
+  api.routes.forEach(({ method, path, summary }) => {
+    console.log(`${method.toUpperCase().padEnd(6)} ${path.padEnd(20)} - ${summary}`);
+  });
 });
 
 module.exports = app; // For testing
@@ -209,9 +779,15 @@ module.exports = app; // For testing
 /* INTERVIEW POINTS:
 1. RESTful naming conventions
 2. Proper HTTP methods (GET, POST, PUT, PATCH, DELETE)
-3. Status codes (200, 201, 400, 404, 409, 500)
-4. Validation middleware
+3. Status codes (200, 201, 304, 400, 404, 409, 412, 500)
+4. Schema validation generated from route definitions (OpenAPI)
 5. Error handling
-6. Query parameters for filtering/pagination
+6. Query parameters for filtering, sorting and cursor pagination
 7. Consistent response format
+8. Repository pattern - swap storage without touching routes
+9. ETags for cache revalidation and optimistic concurrency
+10. Bulk endpoints: per-item results (207), atomic rollback, batch size cap
+11. PATCH formats: JSON Merge Patch vs JSON Patch, re-validate the result
+12. Soft delete + restore, append-only audit trail with actor and diff
+13. Aggregates maintained incrementally on write, not by scanning on read
 */
@@ -0,0 +1,127 @@
+/**
+ * Incremental Aggregates - Interview Question
+ * "Your stats endpoint scans every row. How do you make it O(1)-ish?"
+ *
+ * Instead of recomputing on each request, keep aggregates per group and
+ * adjust them on every write: remove the old row's contribution, add the
+ * new one. Reads then only touch the (small) number of groups.
+ */
+
+const DIMENSIONS = {
+  all: () => 'all',
+  domain: user => (user.email || '').split('@')[1] || 'unknown',
+  ageBucket: user => {
+    if (typeof user.age !== 'number') return 'unknown';
+    const low = Math.floor(user.age / 10) * 10;
+    return `${low}-${low + 9}`;
+  },
+  createdMonth: user => (user.createdAt ? user.createdAt.slice(0, 7) : 'unknown')
+};
+
+const METRICS = ['count', 'sum', 'avg', 'min', 'max'];
+
+// Insert into / remove from a sorted array (binary search)
+function sortedIndex(values, value) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (values[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Linear interpolation between closest ranks
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+class UserAnalytics {
+  constructor() {
+    // dimension -> Map(groupKey -> { count, sum, ages: sorted numbers })
+    this.groups = Object.fromEntries(Object.keys(DIMENSIONS).map(d => [d, new Map()]));
+  }
+
+  rebuild(users) {
+    Object.values(this.groups).forEach(groups => groups.clear());
+    users.forEach(user => this.apply(null, user));
+  }
+
+  // Called on every write with the record before and after the change.
+  // Soft-deleted users don't count.
+  apply(before, after) {
+    if (before && !before.deletedAt) this.adjust(before, -1);
+    if (after && !after.deletedAt) this.adjust(after, +1);
+  }
+
+  adjust(user, delta) {
+    const hasAge = typeof user.age === 'number';
+
+    for (const [dimension, keyOf] of Object.entries(DIMENSIONS)) {
+      const groups = this.groups[dimension];
+      const key = keyOf(user);
+      const group = groups.get(key) || { count: 0, sum: 0, ages: [] };
+
+      group.count += delta;
+      if (hasAge) {
+        group.sum += delta * user.age;
+        const index = sortedIndex(group.ages, user.age);
+        if (delta > 0) group.ages.splice(index, 0, user.age);
+        else group.ages.splice(index, 1);
+      }
+
+      if (group.count === 0) groups.delete(key);
+      else groups.set(key, group);
+    }
+  }
+
+  // metrics: ['count', 'avg', 'p90', ...] -> [{ group, count, avg, p90 }]
+  query({ groupBy = 'all', metrics = ['count', 'avg'] } = {}) {
+    return [...this.groups[groupBy].entries()]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, group]) => {
+        const row = { group: key };
+        const { ages } = group;
+
+        for (const metric of metrics) {
+          if (metric === 'count') row.count = group.count;
+          else if (metric === 'sum') row.sum = group.sum;
+          else if (metric === 'avg') row.avg = ages.length ? group.sum / ages.length : null;
+          else if (metric === 'min') row.min = ages.length ? ages[0] : null;
+          else if (metric === 'max') row.max = ages.length ? ages[ages.length - 1] : null;
+          else row[metric] = percentile(ages, parseInt(metric.slice(1)));
+        }
+
+        return row;
+      });
+  }
+}
+
+// 'count,avg,p95' -> { metrics, errors }
+function parseMetrics(value = 'count,avg') {
+  const metrics = value.split(',').map(m => m.trim()).filter(Boolean);
+  const errors = metrics
+    .filter(m => !METRICS.includes(m) && !/^p([1-9]|[1-9]\d)$/.test(m))
+    .map(m => ({ field: 'query.metrics', message: `Unknown metric '${m}'` }));
+  return { metrics, errors };
+}
+
+module.exports = {
+  UserAnalytics,
+  parseMetrics,
+  GROUP_BY: Object.keys(DIMENSIONS).filter(d => d !== 'all'),
+  METRICS
+};
+
+/* INTERVIEW POINTS:
+1. Precompute aggregates on write instead of scanning on read
+2. Updates = subtract the old contribution, add the new one
+3. count/sum/avg are cheap to maintain; min/max/percentiles need the values
+4. Guard empty groups (avg of nothing is null, not NaN)
+5. In databases: materialized views, counters, or a stream processor
+*/
@@ -6,14 +6,35 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const { createRevocationStore } = require('./revocation-store');
+const totp = require('./totp');
+const { createMailer, isValidEmail } = require('./mailer');
+const { createPasswordPolicy, BreachedPasswordList } = require('./password-policy');
+const { createPolicy } = require('../22-security/permissions');
+const { rateLimit: createRateLimit, rateLimitRules, keys, MemoryStore } = require('../22-security/rate-limiter');
 
 const app = express();
 app.use(express.json());
 
 // Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Separate secret: a leaked access-token key can't forge refresh tokens (and vice versa)
+const REFRESH_SECRET = process.env.REFRESH_SECRET || 'your-refresh-secret-change-in-production';
 const JWT_EXPIRES_IN = '1h';
-const REFRESH_TOKEN_EXPIRES_IN = '7d';
+const REFRESH_TOKEN_EXPIRES_IN = 7 * 24 * 60 * 60; // 7 days, in seconds
+// Raise over time; older hashes are upgraded on the next successful login
+const BCRYPT_COST = parseInt(process.env.BCRYPT_COST) || 10;
+// Password OK, second factor pending: a short-lived token that only /auth/2fa/login accepts
+const CHALLENGE_SECRET = process.env.CHALLENGE_SECRET || 'your-challenge-secret-change-in-production';
+const CHALLENGE_EXPIRES_IN = '5m';
+const TOTP_ISSUER = 'Auth Demo';
+const RECOVERY_CODE_COUNT = 10;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000;
 
 // In-memory databases (use real DB in production)
 const users = [
@@ -23,13 +44,105 @@ const users = [
     // Password: 'admin123' (pre-hashed)
     password: '$2b$10$rKvvZ1QEQhGGGlGGGlGGGOFv7D9Z9Z9Z9Z9Z9Z9Z9Z9Z9Z9Z9Z9ZZ',
     email: 'admin@example.com',
-    role: 'admin'
+    emailVerified: true,
+    roles: ['admin'],
+    plan: 'pro'
   }
 ];
-const refreshTokens = new Set();
+
+// Roles -> permissions, with inheritance (admin -> moderator -> user)
+const policy = createPolicy();
+
+// MAILER=console logs messages; by default they land in MAIL_OUTBOX as .eml files
+// (in the temp directory, so messages never end up in the repository)
+const MAIL_OUTBOX = process.env.MAIL_OUTBOX || path.join(os.tmpdir(), 'auth-demo-outbox');
+const mailer = createMailer({ transport: process.env.MAILER, dir: MAIL_OUTBOX });
+
+// Checked on every new password (register, reset)
+const passwordPolicy = createPasswordPolicy({
+  minLength: 10,
+  minClasses: 2,
+  breachedList: new BreachedPasswordList(
+    process.env.BREACHED_PASSWORDS_FILE || path.join(__dirname, 'breached-passwords.txt')
+  )
+});
+
+// Email verification and password reset tokens, stored hashed:
+// sha256(token) -> { userId, purpose, expiresAt }
+const oneTimeTokens = new Map();
+
+// Active sessions (one per login/device): family -> { id, userId, deviceId, refreshJti, ... }
+// Only the newest refresh token of a session (refreshJti) is valid.
+const sessions = new Map();
+
+// Revoked token ids and families (REVOCATION_FILE persists them)
+const revocations = createRevocationStore({ file: process.env.REVOCATION_FILE });
+
+// Record where and when a session was last used
+function touchSession(session, req) {
+  session.ip = req.ip;
+  session.userAgent = req.get('user-agent') || null;
+  session.lastUsedAt = new Date().toISOString();
+}
+
+function sessionsOf(userId) {
+  return [...sessions.values()].filter(session => session.userId === userId);
+}
+
+// What clients may see - never the device binding or token ids
+function toSessionView(session, currentId) {
+  const { id, device, ip, userAgent, createdAt, lastUsedAt } = session;
+  return { id, device, ip, userAgent, createdAt, lastUsedAt, current: id === currentId };
+}
+
+// Every token gets a unique id (jti). All tokens from one login share a
+// family id, so the whole session can be revoked at once.
+function signAccessToken(user, session) {
+  return jwt.sign(
+    // mfa: whether this session passed a second factor; plan: rate-limit tier
+    { id: user.id, username: user.username, roles: user.roles, plan: user.plan, family: session.id, mfa: session.mfa },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Issues the session's next refresh token - every earlier one is now spent
+function rotateRefreshToken(session) {
+  session.refreshJti = crypto.randomUUID();
+  return jwt.sign(
+    { id: session.userId, family: session.id },
+    REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: session.refreshJti }
+  );
+}
+
+// Entries only need to outlive the token they block
+function revokeToken(payload) {
+  return revocations.revoke(`jti:${payload.jti}`, payload.exp * 1000);
+}
+
+// A family lives as long as its longest-lived token: the refresh token
+function revokeFamily(family) {
+  sessions.delete(family);
+  return revocations.revoke(`family:${family}`, Date.now() + REFRESH_TOKEN_EXPIRES_IN * 1000);
+}
+
+// Ends every session of a user (logout-all, password reset, incident response)
+async function revokeAllSessions(userId) {
+  const userSessions = sessionsOf(userId);
+  for (const session of userSessions) {
+    await revokeFamily(session.id);
+  }
+  return userSessions.length;
+}
+
+async function isRevoked(payload) {
+  return (await revocations.isRevoked(`jti:${payload.jti}`)) ||
+    (await revocations.isRevoked(`family:${payload.family}`));
+}
 
 // 1. Authentication Middleware
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
   
@@ -37,30 +150,44 @@ function authenticate(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
   
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // Attach user to request
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
     return res.status(403).json({ error: 'Invalid token' });
   }
+  
+  try {
+    if (await isRevoked(payload)) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+  
+  const session = sessions.get(payload.family);
+  if (session) touchSession(session, req);
+  
+  req.user = payload; // Attach user to request
+  next();
 }
 
 // 2. Role-based Authorization Middleware
+// Inheritance-aware: authorize('moderator') also lets admins in
 function authorize(...roles) {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
     
-    if (roles.length && !roles.includes(req.user.role)) {
+    if (roles.length && !roles.some(role => policy.hasRole(req.user, role))) {
       return res.status(403).json({ 
         error: 'Insufficient permissions',
         required: roles,
-        current: req.user.role
+        current: policy.rolesOf(req.user)
       });
     }
     
@@ -68,31 +195,225 @@ function authorize(...roles) {
   };
 }
 
+// Permission-based: requirePermission('users:delete') - roles can change
+// without touching routes
+const { requirePermission } = policy;
+
 // 3. Rate Limiting Middleware
-const rateLimitMap = new Map();
+// Sliding log per IP; the store evicts idle IPs once their window has passed
+const rateLimitStore = new MemoryStore();
 
-function rateLimit(maxRequests = 5, windowMs = 60000) {
-  return (req, res, next) => {
-    const identifier = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    
-    if (!rateLimitMap.has(identifier)) {
-      rateLimitMap.set(identifier, []);
-    }
-    
-    const requests = rateLimitMap.get(identifier);
-    const recentRequests = requests.filter(time => now - time < windowMs);
-    
-    if (recentRequests.length >= maxRequests) {
-      return res.status(429).json({ 
-        error: 'Too many requests',
-        retryAfter: Math.ceil((recentRequests[0] + windowMs - now) / 1000)
-      });
+// Per IP by default; keys.user counts per account once authenticated
+function rateLimit(maxRequests = 5, windowMs = 60000, key = keys.ip) {
+  return createRateLimit({
+    algorithm: 'sliding-log',
+    limit: maxRequests,
+    windowMs,
+    key,
+    store: rateLimitStore
+  });
+}
+
+// API quotas per plan: requests per second (burst) and per day
+const PLANS = {
+  free: { burst: 5, daily: 1000 },
+  pro: { burst: 20, daily: 50000 }
+};
+const planOf = req => PLANS[req.user.plan] || PLANS.free;
+
+// Runs after authenticate, so both limits are counted per user
+const apiLimiter = rateLimitRules({
+  store: rateLimitStore,
+  rules: [
+    { name: 'burst', algorithm: 'token-bucket', limit: req => planOf(req).burst, windowMs: 1000, key: keys.user },
+    { name: 'daily', algorithm: 'fixed-window', limit: req => planOf(req).daily, windowMs: 24 * 60 * 60 * 1000, key: keys.user }
+  ]
+});
+
+// Per-account brute-force protection (per-IP limits miss distributed attacks)
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const BACKOFF_BASE_MS = 1000; // 1s, 2s, 4s, 8s ... between failed attempts
+const loginAttempts = new Map(); // username -> { failures, lastFailureAt, retryAt, locked }
+
+// Compared against when the username doesn't exist, so both paths cost one bcrypt.
+// Its cost must match the stored hashes, not BCRYPT_COST: after the cost is raised,
+// existing hashes keep the old one until their owner logs in, and a slower dummy
+// would reveal which usernames exist. So use the cost most stored hashes have.
+const dummyHashes = new Map(); // cost -> hash
+
+async function dummyHashForStoredCost() {
+  const counts = new Map();
+  for (const u of users) {
+    const cost = bcrypt.getRounds(u.password);
+    counts.set(cost, (counts.get(cost) || 0) + 1);
+  }
+  const [cost] = [...counts].reduce((a, b) => (b[1] > a[1] ? b : a), [BCRYPT_COST, 0]);
+  
+  if (!dummyHashes.has(cost)) {
+    dummyHashes.set(cost, await bcrypt.hash('dummy-password-for-timing', cost));
+  }
+  return dummyHashes.get(cost);
+}
+dummyHashForStoredCost(); // Warm up, so the first unknown username isn't slower
+
+// Forget failures that are older than the lockout window
+setInterval(() => {
+  const now = Date.now();
+  for (const [username, attempt] of loginAttempts) {
+    if (now - attempt.lastFailureAt > LOCKOUT_MS) loginAttempts.delete(username);
+  }
+}, 60000).unref();
+
+// Tracked by the submitted username - existing or not - so lockouts
+// don't reveal which accounts exist either
+function recordFailedLogin(username) {
+  const now = Date.now();
+  const attempt = loginAttempts.get(username) || { failures: 0 };
+  
+  attempt.failures++;
+  attempt.lastFailureAt = now;
+  attempt.locked = attempt.failures >= MAX_FAILED_LOGINS;
+  attempt.retryAt = attempt.locked
+    ? now + LOCKOUT_MS
+    : now + BACKOFF_BASE_MS * 2 ** (attempt.failures - 1);
+  
+  loginAttempts.set(username, attempt);
+}
+
+// Responds (and returns true) while the username is backing off or locked
+function rejectThrottledLogin(username, res) {
+  const attempt = loginAttempts.get(username);
+  if (!attempt || attempt.retryAt <= Date.now()) return false;
+  
+  const retryAfter = Math.ceil((attempt.retryAt - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(attempt.locked ? 423 : 429).json({
+    error: attempt.locked ? 'Account temporarily locked' : 'Too many failed attempts',
+    retryAfter
+  });
+  return true;
+}
+
+// Recovery codes are random and high-entropy, so a fast hash is enough
+const hashRecoveryCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+// Verify a TOTP code (once per time step) or consume a recovery code
+function checkSecondFactor(user, { code, recoveryCode }) {
+  const twoFactor = user.twoFactor;
+  
+  if (recoveryCode) {
+    const index = twoFactor.recoveryCodes.indexOf(hashRecoveryCode(String(recoveryCode)));
+    if (index === -1) return false;
+    twoFactor.recoveryCodes.splice(index, 1); // Single use
+    return true;
+  }
+  
+  const counter = totp.verifyTotp(twoFactor.secret, code, { afterCounter: twoFactor.lastCounter });
+  if (counter === null) return false;
+  twoFactor.lastCounter = counter; // Same code can't be replayed
+  return true;
+}
+
+// A leaked token table mustn't be usable: only hashes are stored
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// New token replaces any earlier one for the same user and purpose
+function issueOneTimeToken(userId, purpose, ttlMs) {
+  for (const [hash, entry] of oneTimeTokens) {
+    if (entry.userId === userId && entry.purpose === purpose) oneTimeTokens.delete(hash);
+  }
+  
+  const token = crypto.randomBytes(32).toString('base64url');
+  oneTimeTokens.set(hashToken(token), { userId, purpose, expiresAt: Date.now() + ttlMs });
+  return token;
+}
+
+// Returns the token's entry if it is valid, or null
+function findOneTimeToken(token, purpose) {
+  if (typeof token !== 'string') return null;
+  
+  const entry = oneTimeTokens.get(hashToken(token));
+  if (!entry || entry.purpose !== purpose || entry.expiresAt <= Date.now()) return null;
+  return entry;
+}
+
+// Same, but deletes it (single use)
+function consumeOneTimeToken(token, purpose) {
+  const entry = findOneTimeToken(token, purpose);
+  if (entry) oneTimeTokens.delete(hashToken(token));
+  return entry;
+}
+
+// Responds with every violation (and returns true) if the password is rejected
+async function rejectWeakPassword(password, user, res) {
+  const violations = await passwordPolicy.check(password, user);
+  if (!violations.length) return false;
+  
+  res.status(400).json({
+    error: 'Password does not meet the requirements',
+    details: violations.map(message => ({ field: 'password', message }))
+  });
+  return true;
+}
+
+// Drop expired tokens nobody used
+setInterval(() => {
+  const now = Date.now();
+  for (const [hash, entry] of oneTimeTokens) {
+    if (entry.expiresAt <= now) oneTimeTokens.delete(hash);
+  }
+}, 60000).unref();
+
+// Mail failures are logged, never surfaced: the response must not
+// depend on whether (or how quickly) a message went out
+function sendMail(message) {
+  mailer.send(message).catch(err => console.error('Mail error:', err));
+}
+
+function sendVerificationEmail(user) {
+  const token = issueOneTimeToken(user.id, 'verify-email', EMAIL_VERIFICATION_TTL_MS);
+  sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address:\n${APP_URL}/verify-email?token=${token}\n\n` +
+      'The link expires in 24 hours.'
+  });
+}
+
+// A new login starts a new session (token family), bound to the device
+function startSession(user, req, { deviceId, deviceName, mfa }) {
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    deviceId: deviceId || crypto.randomUUID(),
+    device: deviceName || 'Unknown device', // Label shown in the session list
+    mfa,
+    createdAt: new Date().toISOString(),
+    refreshJti: null
+  };
+  touchSession(session, req);
+  sessions.set(session.id, session);
+  
+  return {
+    success: true,
+    accessToken: signAccessToken(user, session),
+    refreshToken: rotateRefreshToken(session),
+    deviceId: session.deviceId, // Client must send it back on refresh
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      roles: user.roles
     }
-    
-    recentRequests.push(now);
-    rateLimitMap.set(identifier, recentRequests);
-    next();
   };
 }
 
@@ -159,111 +480,372 @@ app.post('/auth/register', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'All fields required' });
   }
   
+  // The address ends up in a mail header - no CR/LF or other surprises
+  if (typeof username !== 'string' || !isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid username or email' });
+  }
+  
   // Check if user exists
   if (users.find(u => u.username === username)) {
     return res.status(409).json({ error: 'Username already exists' });
   }
   
+  if (await rejectWeakPassword(password, { username, email }, res)) return;
+  
   // Hash password
-  const hashedPassword = await bcrypt.hash(password, 10);
+  const hashedPassword = await bcrypt.hash(password, BCRYPT_COST);
   
   const newUser = {
     id: users.length + 1,
     username,
     password: hashedPassword,
     email,
-    role: 'user'
+    emailVerified: false,
+    roles: ['user'],
+    plan: 'free'
   };
   
   users.push(newUser);
+  sendVerificationEmail(newUser);
   
   res.status(201).json({
     success: true,
-    message: 'User registered successfully'
+    message: 'User registered successfully, check your email to verify your address'
   });
 }));
 
+// Pages the emailed links open. GET only shows a button; the token is spent
+// by the POST, so link scanners and prefetching can't use it up. The token is
+// read from the URL in the browser - never echoed into the HTML.
+function tokenPage(title, endpoint, { askPassword = false } = {}) {
+  return `<!doctype html>
+<meta charset="utf-8">
+<title>${title}</title>
+<h1>${title}</h1>
+<form id="form">
+  ${askPassword ? '<input type="password" name="password" placeholder="New password" required>' : ''}
+  <button>${title}</button>
+</form>
+<p id="result"></p>
+<script>
+  document.getElementById('form').addEventListener('submit', async event => {
+    event.preventDefault();
+    const token = new URLSearchParams(location.search).get('token');
+    const password = event.target.password ? event.target.password.value : undefined;
+    const res = await fetch('${endpoint}', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, password })
+    });
+    const body = await res.json();
+    document.getElementById('result').textContent = body.message || body.error;
+  });
+</script>`;
+}
+
+// The token is in the URL - don't leak it to other sites via Referer
+function sendTokenPage(res, html) {
+  res.set('Referrer-Policy', 'no-referrer').type('html').send(html);
+}
+
+app.get('/verify-email', (req, res) => {
+  sendTokenPage(res, tokenPage('Verify email', '/auth/verify-email'));
+});
+
+app.get('/reset-password', (req, res) => {
+  sendTokenPage(res, tokenPage('Reset password', '/auth/reset-password', { askPassword: true }));
+});
+
+// Email verification (the token from the emailed link)
+app.post('/auth/verify-email', (req, res) => {
+  const entry = consumeOneTimeToken(req.body.token, 'verify-email');
+  const user = entry && users.find(u => u.id === entry.userId);
+  
+  if (!user) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+  
+  user.emailVerified = true;
+  res.json({ success: true, message: 'Email verified' });
+});
+
+app.post('/auth/resend-verification', authenticate, rateLimit(3, 60000, keys.user), (req, res) => {
+  const user = users.find(u => u.id === req.user.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (user.emailVerified) {
+    return res.status(409).json({ error: 'Email already verified' });
+  }
+  
+  sendVerificationEmail(user);
+  res.json({ success: true, message: 'Verification email sent' });
+});
+
+// Forgot password - same answer whether or not the email is registered
+app.post('/auth/forgot-password', rateLimit(5, 60000), (req, res) => {
+  const { email } = req.body;
+  const user = typeof email === 'string' && users.find(u => u.email.toLowerCase() === email.toLowerCase());
+  
+  if (user) {
+    const token = issueOneTimeToken(user.id, 'reset-password', PASSWORD_RESET_TTL_MS);
+    sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\nReset your password:\n${APP_URL}/reset-password?token=${token}\n\n` +
+        'The link expires in 30 minutes. If you didn\'t ask for this, ignore this email.'
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: 'If that email is registered, a reset link has been sent'
+  });
+});
+
+// Reset password - single-use token, then every existing session ends
+app.post('/auth/reset-password', asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token and password required' });
+  }
+  
+  const entry = findOneTimeToken(token, 'reset-password');
+  const user = entry && users.find(u => u.id === entry.userId);
+  if (!user) {
+    return res.status(400).json({ error: 'Invalid or expired token' });
+  }
+  
+  // A rejected password doesn't use up the token
+  if (await rejectWeakPassword(password, user, res)) return;
+  if (!consumeOneTimeToken(token, 'reset-password')) {
+    return res.status(400).json({ error: 'Invalid or expired token' }); // Used meanwhile
+  }
+  
+  user.password = await bcrypt.hash(password, BCRYPT_COST);
+  user.emailVerified = true; // They just proved they read the inbox
+  loginAttempts.delete(user.username);
+  
+  // Whoever had the old password may still hold refresh tokens
+  const revoked = await revokeAllSessions(user.id);
+  
+  res.json({ success: true, message: 'Password updated, please log in again', sessionsRevoked: revoked });
+}));
+
 // Login
 app.post('/auth/login', rateLimit(5, 60000), asyncHandler(async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, deviceId, deviceName } = req.body;
+  
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  
+  // Locked out or still backing off - don't even check the password
+  if (rejectThrottledLogin(username, res)) return;
   
+  // Always run bcrypt, even for unknown users: same response time either way
   const user = users.find(u => u.username === username);
-  if (!user) {
+  const validPassword = await bcrypt.compare(password, user ? user.password : await dummyHashForStoredCost());
+  if (!user || !validPassword) {
+    recordFailedLogin(username);
     return res.status(401).json({ error: 'Invalid credentials' });
   }
   
-  const validPassword = await bcrypt.compare(password, user.password);
-  if (!validPassword) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  // Hashed with an older (lower) cost? Upgrade now - the only time we have the password
+  if (bcrypt.getRounds(user.password) < BCRYPT_COST) {
+    user.password = await bcrypt.hash(password, BCRYPT_COST);
   }
   
-  // Generate tokens
-  const accessToken = jwt.sign(
-    { id: user.id, username: user.username, role: user.role },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
+  // 2FA enabled: no tokens yet, just a challenge for the second step
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const challengeToken = jwt.sign(
+      { id: user.id, deviceId, deviceName },
+      CHALLENGE_SECRET,
+      { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+    return res.json({ success: true, twoFactorRequired: true, challengeToken });
+  }
   
-  const refreshToken = jwt.sign(
-    { id: user.id },
-    JWT_SECRET,
-    { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
-  );
+  loginAttempts.delete(username);
+  res.json(startSession(user, req, { deviceId, deviceName, mfa: false }));
+}));
+
+// Login step 2: challenge token + TOTP code (or a recovery code)
+app.post('/auth/2fa/login', rateLimit(5, 60000), asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Challenge token and code required' });
+  }
+  
+  const payload = jwt.verify(challengeToken, CHALLENGE_SECRET);
+  if (await isRevoked(payload)) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
   
-  refreshTokens.add(refreshToken);
+  const user = users.find(u => u.id === payload.id);
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+  
+  // Wrong codes count as failed logins - 6 digits are easy to brute force
+  if (rejectThrottledLogin(user.username, res)) return;
+  if (!checkSecondFactor(user, { code, recoveryCode })) {
+    recordFailedLogin(user.username);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  
+  loginAttempts.delete(user.username);
+  await revokeToken(payload); // Each challenge works once
   
   res.json({
-    success: true,
-    accessToken,
-    refreshToken,
-    user: {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role
-    }
+    ...startSession(user, req, { deviceId: payload.deviceId, deviceName: payload.deviceName, mfa: true }),
+    recoveryCodesLeft: user.twoFactor.recoveryCodes.length
   });
 }));
 
-// Refresh token
+// 2FA enrollment, step 1: new secret for the authenticator app
+app.post('/auth/2fa/setup', authenticate, (req, res) => {
+  const user = users.find(u => u.id === req.user.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+  }
+  
+  // Not active until a code proves the app has the secret
+  const secret = totp.generateSecret();
+  user.twoFactor = { enabled: false, secret, lastCounter: -1, recoveryCodes: [] };
+  
+  res.json({
+    success: true,
+    secret,
+    otpauthUri: totp.otpauthUri({ secret, account: user.username, issuer: TOTP_ISSUER })
+  });
+});
+
+// 2FA enrollment, step 2: confirm with a code, receive recovery codes (shown once)
+app.post('/auth/2fa/verify', authenticate, (req, res) => {
+  const user = users.find(u => u.id === req.user.id);
+  if (!user || !user.twoFactor) {
+    return res.status(400).json({ error: 'Call /auth/2fa/setup first' });
+  }
+  if (user.twoFactor.enabled) {
+    return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+  }
+  if (!checkSecondFactor(user, { code: req.body.code })) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.enabled = true;
+  
+  res.json({ success: true, recoveryCodes });
+});
+
+// Refresh token (rotation: every refresh returns a new refresh token)
 app.post('/auth/refresh', asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+  const { refreshToken, deviceId } = req.body;
   
   if (!refreshToken) {
     return res.status(401).json({ error: 'Refresh token required' });
   }
   
-  if (!refreshTokens.has(refreshToken)) {
+  const payload = jwt.verify(refreshToken, REFRESH_SECRET);
+  
+  // Logged out (or otherwise revoked) sessions can't mint new tokens
+  const session = sessions.get(payload.family);
+  if (!session || await isRevoked(payload)) {
     return res.status(403).json({ error: 'Invalid refresh token' });
   }
   
-  const payload = jwt.verify(refreshToken, JWT_SECRET);
+  // A spent token was replayed: either the client or an attacker holds a
+  // stolen copy. We can't tell which, so end the whole session.
+  if (payload.jti !== session.refreshJti) {
+    await revokeFamily(session.id);
+    return res.status(401).json({ error: 'Refresh token reuse detected, session revoked' });
+  }
+  
+  // Token presented from a different device than it was issued to
+  if (deviceId !== session.deviceId) {
+    await revokeFamily(session.id);
+    return res.status(401).json({ error: 'Device mismatch, session revoked' });
+  }
+  
   const user = users.find(u => u.id === payload.id);
   
   if (!user) {
     return res.status(403).json({ error: 'User not found' });
   }
   
-  const newAccessToken = jwt.sign(
-    { id: user.id, username: user.username, role: user.role },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
+  touchSession(session, req);
   
-  res.json({ success: true, accessToken: newAccessToken });
+  res.json({
+    success: true,
+    accessToken: signAccessToken(user, session),
+    refreshToken: rotateRefreshToken(session)
+  });
 }));
 
-// Logout
-app.post('/auth/logout', authenticate, (req, res) => {
-  const { refreshToken } = req.body;
-  if (refreshToken) {
-    refreshTokens.delete(refreshToken);
-  }
+// Logout - revokes this access token and every token of its session
+app.post('/auth/logout', authenticate, asyncHandler(async (req, res) => {
+  await revokeToken(req.user);
+  await revokeFamily(req.user.family);
   res.json({ success: true, message: 'Logged out successfully' });
+}));
+
+// Sessions - where am I logged in?
+app.get('/auth/sessions', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    sessions: sessionsOf(req.user.id).map(session => toSessionView(session, req.user.family))
+  });
+});
+
+// Log out one device
+app.delete('/auth/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = sessions.get(req.params.id);
+  
+  // Someone else's session looks the same as a missing one
+  if (!session || session.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  await revokeFamily(session.id);
+  res.json({ success: true, message: 'Session revoked' });
+}));
+
+// Log out everywhere (including this device)
+app.post('/auth/logout-all', authenticate, asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.id);
+  await revokeFamily(req.user.family); // In case this session is already gone
+  
+  res.json({ success: true, revoked });
+}));
+
+// Effective permissions (own + inherited, across all roles)
+app.get('/me/permissions', authenticate, apiLimiter, (req, res) => {
+  res.json({
+    success: true,
+    roles: policy.rolesOf(req.user),
+    permissions: policy.permissionsFor(req.user)
+  });
 });
 
+// Remaining API quota (peeks, so checking doesn't use any up)
+app.get('/rate-limit/status', authenticate, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    plan: req.user.plan || 'free',
+    limits: await apiLimiter.status(req)
+  });
+}));
+
 // Protected route (any authenticated user)
-app.get('/protected', authenticate, (req, res) => {
+app.get('/protected', authenticate, apiLimiter, (req, res) => {
   res.json({
     success: true,
     message: 'This is protected data',
@@ -272,16 +854,54 @@ app.get('/protected', authenticate, (req, res) => {
 });
 
 // Admin-only route
-app.get('/admin', authenticate, authorize('admin'), (req, res) => {
+app.get('/admin', authenticate, apiLimiter, authorize('admin'), (req, res) => {
   res.json({
     success: true,
     message: 'Admin area',
-    users: users.map(u => ({ id: u.id, username: u.username, email: u.email, role: u.role }))
+    users: users.map(u => ({ id: u.id, username: u.username, email: u.email, roles: u.roles }))
   });
 });
 
-// Multiple roles
-app.get('/moderator', authenticate, authorize('admin', 'moderator'), (req, res) => {
+// Admin: inspect and end a user's sessions (incident response)
+function findUser(req, res, next) {
+  const user = users.find(u => u.id === parseInt(req.params.id));
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  req.targetUser = user;
+  next();
+}
+
+app.get('/admin/users/:id/sessions', authenticate, apiLimiter, requirePermission('sessions:manage'), findUser, (req, res) => {
+  res.json({
+    success: true,
+    sessions: sessionsOf(req.targetUser.id).map(session => toSessionView(session, req.user.family))
+  });
+});
+
+app.delete('/admin/users/:id/sessions', authenticate, apiLimiter, requirePermission('sessions:manage'), findUser, asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.targetUser.id);
+  res.json({ success: true, revoked });
+}));
+
+app.delete('/admin/users/:id/sessions/:sessionId', authenticate, apiLimiter, requirePermission('sessions:manage'), findUser, asyncHandler(async (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || session.userId !== req.targetUser.id) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  await revokeFamily(session.id);
+  res.json({ success: true, message: 'Session revoked' });
+}));
+
+// Admin: lift a lockout before it expires
+app.post('/admin/users/:id/unlock', authenticate, apiLimiter, requirePermission('users:unlock'), findUser, (req, res) => {
+  const wasLocked = loginAttempts.delete(req.targetUser.username);
+  res.json({ success: true, unlocked: wasLocked });
+});
+
+// Admins inherit moderator - no need to list both
+app.get('/moderator', authenticate, apiLimiter, authorize('moderator'), (req, res) => {
   res.json({
     success: true,
     message: 'Moderator area'
@@ -294,16 +914,31 @@ app.use(errorHandler);
 const PORT = 3000;
 app.listen(PORT, () => {
   console.log(`Auth server running on http://localhost:${PORT}`);
+  if (process.env.MAILER !== 'console') console.log(`Mail outbox: ${MAIL_OUTBOX}`);
   console.log('\nTest credentials:');
   console.log('Username: admin');
   console.log('Password: admin123');
   console.log('\nEndpoints:');
   console.log('POST /auth/register - Register new user');
+  console.log('GET  /verify-email, /reset-password - Pages the mailed links open');
+  console.log('POST /auth/verify-email    - Confirm email (token from mail)');
+  console.log('POST /auth/forgot-password - Send reset link');
+  console.log('POST /auth/reset-password  - Set new password (token from mail)');
   console.log('POST /auth/login    - Login');
   console.log('POST /auth/refresh  - Refresh token');
   console.log('POST /auth/logout   - Logout');
+  console.log('POST /auth/2fa/setup  - Start TOTP enrollment');
+  console.log('POST /auth/2fa/verify - Confirm TOTP, get recovery codes');
+  console.log('POST /auth/2fa/login  - Login step 2 (challenge + code)');
+  console.log('GET  /auth/sessions - Active sessions');
+  console.log('DELETE /auth/sessions/:id - Log out one device');
+  console.log('POST /auth/logout-all - Log out everywhere');
   console.log('GET  /protected     - Protected route');
+  console.log('GET  /me/permissions - Effective permissions');
+  console.log('GET  /rate-limit/status - Remaining API quota');
   console.log('GET  /admin         - Admin only');
+  console.log('GET/DELETE /admin/users/:id/sessions - Manage a user\'s sessions');
+  console.log('POST /admin/users/:id/unlock - Clear failed logins');
 });
 
 /* INTERVIEW CONCEPTS:
@@ -315,4 +950,14 @@ app.listen(PORT, () => {
 6. Middleware patterns
 7. Error handling
 8. Async/await with try/catch
+9. Token revocation: denylist by jti/family, entries expire with the token
+10. Refresh token rotation + reuse detection (replay revokes the family)
+11. Session management: list devices, log out one or all
+12. Account lockout + exponential backoff; constant-time unknown-user path
+13. TOTP 2FA: challenge token between password and code, hashed recovery codes
+14. Reset/verification tokens: random, hashed at rest, expiring, single use
+15. Forgot-password never reveals whether an email is registered
+16. Password policy + breached-password check (k-anonymity), rehash on login
+17. Permission-based authorization with role inheritance and multiple roles
+18. Rate-limit keys (IP, user, route), burst + daily quotas per plan
 */
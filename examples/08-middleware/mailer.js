@@ -0,0 +1,88 @@
+/**
+ * Pluggable Mailer - Interview Question
+ * "How do you test flows that send email (verification, password reset)?"
+ *
+ * Code depends on an interface, not on SMTP:
+ *   send({ to, subject, text }) -> Promise
+ *
+ * The default implementation writes each message to a local outbox
+ * directory, so the flows work offline and tests can read the files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// Deliberately simple: one @, no spaces, nothing that means something in a
+// header (<>, quotes, commas, CR/LF). Real validation is the confirmation email.
+const EMAIL_PATTERN = /^[^\s@<>()",;:\\]+@[^\s@<>()",;:\\]+\.[^\s@<>()",;:\\]+$/;
+
+function isValidEmail(value) {
+  return typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+// A CR or LF in a header value would start a new header (header injection:
+// an attacker adds Bcc: or rewrites the body)
+function checkHeaders({ to, subject }) {
+  if (!isValidEmail(to)) throw new Error('Invalid recipient');
+  if (typeof subject !== 'string' || /[\r\n]/.test(subject)) throw new Error('Invalid subject');
+}
+
+// 1. Outbox mailer: one .eml file per message
+class OutboxMailer {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  async send({ to, subject, text }) {
+    checkHeaders({ to, subject });
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const id = crypto.randomUUID();
+    const date = new Date();
+    const message = [
+      `Message-ID: <${id}@localhost>`,
+      `Date: ${date.toUTCString()}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text
+    ].join('\r\n');
+
+    // Timestamp first so `ls` shows messages in the order they were sent
+    const file = path.join(this.dir, `${date.getTime()}-${id}.eml`);
+    await fs.promises.writeFile(file, message);
+    return { id, file };
+  }
+}
+
+// 2. Console mailer: handy while developing
+class ConsoleMailer {
+  async send({ to, subject, text }) {
+    checkHeaders({ to, subject });
+    console.log(`\n--- Mail to ${to}: ${subject} ---\n${text}\n---`);
+    return { id: crypto.randomUUID() };
+  }
+}
+
+// An SMTP or provider-API mailer would implement the same send()
+function createMailer({ transport = 'outbox', dir = path.join(os.tmpdir(), 'outbox') } = {}) {
+  return transport === 'console' ? new ConsoleMailer() : new OutboxMailer({ dir });
+}
+
+module.exports = {
+  isValidEmail,
+  OutboxMailer,
+  ConsoleMailer,
+  createMailer
+};
+
+/* INTERVIEW POINTS:
+1. Depend on a small interface (send) - swap SMTP, an API or a fake
+2. A file outbox makes email flows testable without a mail server
+3. Sending is slow and can fail - don't let it change the HTTP response
+4. In production: queue the message and retry, don't send inline
+5. Never put unchecked input in headers - CR/LF injects new ones
+*/
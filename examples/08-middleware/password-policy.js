@@ -0,0 +1,125 @@
+/**
+ * Password Policy + Breached Passwords - Interview Question
+ * "What makes a good password policy, and how do you check for leaked passwords?"
+ *
+ * Current guidance (NIST 800-63B): favour length, block known-breached and
+ * personal passwords. Character-class rules are optional and configurable.
+ *
+ * Breached check uses k-anonymity (like the Have I Been Pwned range API):
+ * SHA-1 the password and look up only the 5-character prefix; the matching
+ * suffixes are compared locally, so the full hash is never sent anywhere.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CHARACTER_CLASSES = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  digit: /\d/,
+  symbol: /[^A-Za-z0-9]/
+};
+
+// bcrypt only uses the first 72 bytes - longer passwords are silently truncated
+const BCRYPT_MAX_BYTES = 72;
+
+// 1. Breached password list: SHA-1 prefix -> Map(suffix -> count)
+class BreachedPasswordList {
+  constructor(file) {
+    this.file = file;
+    this.ranges = null;
+  }
+
+  async load() {
+    const ranges = new Map();
+    const content = await fs.promises.readFile(this.file, 'utf8');
+
+    for (const raw of content.split('\n')) {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const [hash, count] = line.split(':');
+      const prefix = hash.slice(0, 5).toUpperCase();
+      if (!ranges.has(prefix)) ranges.set(prefix, new Map());
+      ranges.get(prefix).set(hash.slice(5).toUpperCase(), parseInt(count) || 1);
+    }
+
+    this.ranges = ranges;
+  }
+
+  // The "API": all suffixes for a prefix (a remote service would do this part)
+  async range(prefix) {
+    if (!this.ranges) await this.load();
+    return this.ranges.get(prefix) || new Map();
+  }
+
+  // How many times the password appears in breaches (0 = not found)
+  async count(password) {
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    const suffixes = await this.range(hash.slice(0, 5));
+    return suffixes.get(hash.slice(5)) || 0;
+  }
+}
+
+// 2. Policy: returns every violation, not just the first
+function createPasswordPolicy({
+  minLength = 10,
+  minClasses = 0, // How many of lowercase/uppercase/digit/symbol are required
+  forbidPersonalInfo = true,
+  breachedList = null
+} = {}) {
+  async function check(password, { username, email } = {}) {
+    const violations = [];
+
+    if (typeof password !== 'string') {
+      return ['Password is required'];
+    }
+
+    if (password.length < minLength) {
+      violations.push(`Must be at least ${minLength} characters`);
+    }
+    if (Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+      violations.push(`Must be at most ${BCRYPT_MAX_BYTES} bytes`);
+    }
+
+    const classes = Object.entries(CHARACTER_CLASSES)
+      .filter(([, pattern]) => pattern.test(password))
+      .map(([name]) => name);
+    if (classes.length < minClasses) {
+      violations.push(
+        `Must contain at least ${minClasses} of: ${Object.keys(CHARACTER_CLASSES).join(', ')}`
+      );
+    }
+
+    if (forbidPersonalInfo) {
+      const lower = password.toLowerCase();
+      const personal = [username, email, email && email.split('@')[0]]
+        .filter(value => typeof value === 'string' && value.length >= 3)
+        .map(value => value.toLowerCase());
+      if (personal.some(value => lower.includes(value))) {
+        violations.push('Must not contain your username or email');
+      }
+    }
+
+    if (breachedList && await breachedList.count(password) > 0) {
+      violations.push('Appears in a list of breached passwords, choose another');
+    }
+
+    return violations;
+  }
+
+  return { check };
+}
+
+module.exports = {
+  BreachedPasswordList,
+  createPasswordPolicy
+};
+
+/* INTERVIEW POINTS:
+1. Length beats complexity rules; block breached and personal passwords
+2. k-anonymity: share only a 5-char hash prefix, compare suffixes locally
+3. Report all violations at once so users can fix them in one go
+4. bcrypt truncates at 72 bytes - cap the length (or pre-hash)
+5. Raise the bcrypt cost over time; rehash on the next successful login
+*/
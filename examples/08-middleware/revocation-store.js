@@ -0,0 +1,106 @@
+/**
+ * Token Revocation Store - Interview Question
+ * "JWTs are stateless. How do you log someone out before the token expires?"
+ *
+ * Keep a denylist of revoked token ids (jti) and token families. An entry
+ * only needs to live until the token it blocks would have expired anyway,
+ * so the list stays small.
+ *
+ * Interface (all async):
+ *   revoke(key, expiresAt)  -> deny `key` until expiresAt (ms timestamp)
+ *   isRevoked(key)          -> boolean
+ *   purge()                 -> drop expired entries
+ */
+
+const { AtomicJsonFile } = require('../22-security/atomic-json-file');
+
+// 1. In-memory store (single process, lost on restart)
+class MemoryRevocationStore {
+  constructor({ sweepEvery = 60000 } = {}) {
+    this.entries = new Map(); // key -> expiresAt
+
+    this.timer = setInterval(() => this.purge().catch(console.error), sweepEvery);
+    this.timer.unref(); // Don't keep the process alive for the sweep
+  }
+
+  async revoke(key, expiresAt) {
+    // Never shorten an existing revocation
+    const current = this.entries.get(key) || 0;
+    this.entries.set(key, Math.max(current, expiresAt));
+  }
+
+  async isRevoked(key) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt === undefined) return false;
+
+    // Expired entries are removed lazily as well as by the sweep
+    if (expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  async purge() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+// 2. File-backed store (survives restarts)
+// Revocations are rare, so the whole list is rewritten on each change.
+class FileRevocationStore extends MemoryRevocationStore {
+  constructor(file, options) {
+    super(options);
+    this.file = new AtomicJsonFile(file);
+    this.ready = this.load();
+    this.ready.catch(() => {}); // Unreadable file: every operation rejects with the load error
+  }
+
+  async load() {
+    const saved = await this.file.read();
+    if (saved) this.entries = new Map(Object.entries(saved));
+    await super.purge();
+  }
+
+  save() {
+    return this.file.write(Object.fromEntries(this.entries));
+  }
+
+  async revoke(key, expiresAt) {
+    await this.ready;
+    await super.revoke(key, expiresAt);
+    await this.save();
+  }
+
+  async isRevoked(key) {
+    await this.ready;
+    return super.isRevoked(key);
+  }
+
+  async purge() {
+    await this.ready;
+    const before = this.entries.size;
+    await super.purge();
+    if (this.entries.size !== before) await this.save();
+  }
+}
+
+function createRevocationStore({ file, ...options } = {}) {
+  return file ? new FileRevocationStore(file, options) : new MemoryRevocationStore(options);
+}
+
+module.exports = {
+  MemoryRevocationStore,
+  FileRevocationStore,
+  createRevocationStore
+};
+
+/* INTERVIEW POINTS:
+1. Revocation = denylist checked on every request (trades some statelessness)
+2. Key by jti (one token) or family/session id (every token from one login)
+3. Entries expire with the token - the list never grows without bound
+4. In production use Redis: SET key 1 PX <ttl> gives expiry for free
+*/
@@ -0,0 +1,99 @@
+/**
+ * TOTP (RFC 6238) - Interview Question
+ * "How do authenticator apps generate codes without talking to the server?"
+ *
+ * Server and app share a secret. Both compute
+ *   HOTP(secret, counter) = truncate(HMAC-SHA1(secret, counter)) mod 10^6
+ * with counter = floor(unixTime / 30), so codes change every 30 seconds.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps expect the secret in base32 (RFC 4648, no padding)
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character '${char}'`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, as recommended by RFC 4226
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function hotp(secret, counter, digits = 6) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return String(code).padStart(digits, '0');
+}
+
+const counterAt = (time, step) => Math.floor(time / 1000 / step);
+
+function generateTotp(secret, { time = Date.now(), step = 30 } = {}) {
+  return hotp(secret, counterAt(time, step));
+}
+
+// Accepts codes from `window` steps either side (clock drift).
+// Returns the matching counter, or null. Callers store the counter and
+// reject codes at or below it, so a code can't be used twice.
+function verifyTotp(secret, code, { time = Date.now(), step = 30, window = 1, afterCounter = -1 } = {}) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const current = counterAt(time, step);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= afterCounter) continue;
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return counter;
+  }
+  return null;
+}
+
+// Rendered as a QR code by the client; scanned by the authenticator app
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: '6', period: '30' });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri
+};
+
+/* INTERVIEW POINTS:
+1. TOTP = HOTP with a time-based counter (30s steps)
+2. Accept +/- one step for clock drift, but remember the last used step (no replay)
+3. Compare codes with crypto.timingSafeEqual
+4. The secret is as sensitive as a password - encrypt it at rest in production
+5. Recovery codes: random, single-use, stored hashed
+*/
@@ -6,9 +6,13 @@
 const cluster = require('cluster');
 const http = require('http');
 const os = require('os');
+const { createLimiter } = require('../22-security/rate-limiter');
+const { ClusterStore, serveClusterStore } = require('../22-security/cluster-store');
 
 const numCPUs = os.cpus().length;
 const PORT = 3000;
+// Requests per minute per client, across ALL workers (raise it for benchmarks)
+const RATE_LIMIT = parseInt(process.env.RATE_LIMIT) || 100;
 
 if (cluster.isMaster) {
   console.log(`Master process ${process.pid} is running`);
@@ -16,6 +20,10 @@ if (cluster.isMaster) {
   
   const workers = new Map();
   
+  // Rate-limit counters live here; workers ask over IPC.
+  // (A per-worker MemoryStore would allow RATE_LIMIT * numCPUs.)
+  serveClusterStore(cluster);
+  
   // Fork workers
   for (let i = 0; i < numCPUs; i++) {
     const worker = cluster.fork();
@@ -105,10 +113,31 @@ if (cluster.isMaster) {
   
 } else {
   // Worker process
-  const server = http.createServer((req, res) => {
+  const limiter = createLimiter({
+    algorithm: 'sliding-window',
+    limit: RATE_LIMIT,
+    windowMs: 60000,
+    store: new ClusterStore()
+  });
+  
+  const server = http.createServer(async (req, res) => {
     // Notify master of request
     process.send({ cmd: 'request' });
     
+    // Health checks aren't limited
+    if (req.url !== '/health') {
+      const limit = await limiter.hit(req.socket.remoteAddress).catch(() => ({ allowed: true }));
+      
+      if (!limit.allowed) {
+        res.writeHead(429, {
+          'Content-Type': 'application/json',
+          'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000))
+        });
+        return res.end(JSON.stringify({ worker: process.pid, error: 'Too many requests' }));
+      }
+      res.setHeader('RateLimit-Remaining', String(limit.remaining));
+    }
+    
     // Simulate work
     const start = Date.now();
     
@@ -162,9 +191,12 @@ if (cluster.isMaster) {
         </ul>
         <h2>Load Test:</h2>
         <pre>
-# Test clustering performance
+# Test clustering performance (start with RATE_LIMIT=100000)
 ab -n 1000 -c 10 http://localhost:3000/fast
 
+# Rate limit (${RATE_LIMIT}/min) holds across workers:
+for i in $(seq 1 110); do curl -s -o /dev/null -w "%{http_code} " http://localhost:3000/fast; done
+
 # Without clustering (single process):
 # node single-process-server.js
 # ab -n 1000 -c 10 http://localhost:3000/fast
@@ -227,4 +259,6 @@ BENCHMARK RESULTS (typically):
 8. Use for CPU-intensive workloads
 9. Each worker has separate memory
 10. Communication via IPC (process.send)
+11. Shared state (rate limits, sessions) must live outside the workers:
+    in the primary (IPC) or Redis
 */
@@ -0,0 +1,270 @@
+/**
+ * Repository Pattern - Interview Question
+ * "How do you make storage swappable without touching route handlers?"
+ *
+ * Every implementation exposes the same async interface:
+ *   findAll()          -> [user]
+ *   findById(id)       -> user | null
+ *   create(data)       -> user (id and version assigned)
+ *   update(id, data)   -> user | null (fields merged, id kept, version bumped)
+ *   remove(id)         -> removed user | null
+ *   put(record)        -> record written exactly as given, version included
+ *
+ * update() and remove() accept { expectedVersion } for optimistic
+ * concurrency: a stale version throws VersionConflictError.
+ * update() also accepts { replace: true } to drop fields missing from data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const copy = record => ({ ...record });
+
+class VersionConflictError extends Error {
+  constructor(id, expected, actual) {
+    super(`User ${id} is at version ${actual}, expected ${expected}`);
+    this.name = 'VersionConflictError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Throws when the caller's copy is stale
+function checkVersion(record, expectedVersion) {
+  if (expectedVersion !== undefined && record.version !== expectedVersion) {
+    throw new VersionConflictError(record.id, expectedVersion, record.version);
+  }
+}
+
+// 1. In-memory implementation (the original module-level array)
+class MemoryUserRepository {
+  constructor(seed = []) {
+    this.users = seed.map(u => ({ ...u, version: u.version || 1 }));
+    this.nextId = this.users.reduce((max, u) => Math.max(max, u.id), 0) + 1;
+  }
+
+  async findAll() {
+    return this.users.map(copy);
+  }
+
+  async findById(id) {
+    const user = this.users.find(u => u.id === id);
+    return user ? copy(user) : null;
+  }
+
+  async create(data) {
+    const { id, ...fields } = data; // Ids are assigned here, never by callers
+    const user = { id: this.nextId++, ...fields, version: 1 };
+    this.users.push(user);
+    return copy(user);
+  }
+
+  async update(id, data, { expectedVersion, replace = false } = {}) {
+    const index = this.users.findIndex(u => u.id === id);
+    if (index === -1) return null;
+
+    const current = this.users[index];
+    checkVersion(current, expectedVersion);
+
+    const base = replace ? { id } : current;
+    this.users[index] = { ...base, ...data, id, version: current.version + 1 };
+    return copy(this.users[index]);
+  }
+
+  async remove(id, { expectedVersion } = {}) {
+    const index = this.users.findIndex(u => u.id === id);
+    if (index === -1) return null;
+
+    checkVersion(this.users[index], expectedVersion);
+    return this.users.splice(index, 1)[0];
+  }
+
+  async put(record) {
+    const index = this.users.findIndex(u => u.id === record.id);
+    if (index === -1) this.users.push(copy(record));
+    else this.users[index] = copy(record);
+
+    this.nextId = Math.max(this.nextId, record.id + 1);
+    return copy(record);
+  }
+}
+
+// 2. Append-only journal file
+// Each write appends one JSON line; on startup the journal is replayed.
+// Compaction rewrites the current state to a temp file and renames it
+// over the journal, so a crash leaves either the old or the new file.
+class JournalUserRepository extends MemoryUserRepository {
+  constructor(file, { seed = [], compactEvery = 60000, compactAfter = 1000 } = {}) {
+    super();
+    this.file = file;
+    this.compactAfter = compactAfter;
+    this.entriesSinceCompact = 0;
+    this.queue = Promise.resolve(); // Serializes all file writes
+    this.ready = this.load(seed);
+    this.ready.catch(() => {}); // A corrupt journal fails the first operation, not the process
+
+    this.timer = setInterval(() => this.compact().catch(console.error), compactEvery);
+    this.timer.unref(); // Don't keep the process alive just for compaction
+  }
+
+  async load(seed) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+
+      // First run: start from the seed data
+      this.users = seed.map(u => ({ ...u, version: u.version || 1 }));
+      this.nextId = this.users.reduce((max, u) => Math.max(max, u.id), 0) + 1;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      return this.writeSnapshot();
+    }
+
+    let torn = false;
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // A torn last line from a crash mid-append - ignore it
+        torn = true;
+        continue;
+      }
+      this.apply(entry);
+      this.entriesSinceCompact++;
+    }
+
+    // The next append would land on the end of the partial line and be lost
+    // on the following replay, so rewrite the file without it first
+    if (torn || (content && !content.endsWith('\n'))) {
+      await this.writeSnapshot();
+    }
+  }
+
+  // Replay is idempotent: 'put' replaces by id, 'remove' deletes by id
+  apply(entry) {
+    if (entry.op === 'init') {
+      this.nextId = entry.nextId;
+    } else if (entry.op === 'put') {
+      const index = this.users.findIndex(u => u.id === entry.record.id);
+      const record = { ...entry.record, version: entry.record.version || 1 }; // Entries from before versioning
+      if (index === -1) this.users.push(record);
+      else this.users[index] = record;
+      this.nextId = Math.max(this.nextId, entry.record.id + 1);
+    } else if (entry.op === 'remove') {
+      this.users = this.users.filter(u => u.id !== entry.id);
+    }
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {}); // Keep the chain alive after a failure
+    return result;
+  }
+
+  append(entry) {
+    return this.enqueue(async () => {
+      await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+      this.entriesSinceCompact++;
+      if (this.entriesSinceCompact >= this.compactAfter) {
+        await this.writeSnapshot();
+      }
+    });
+  }
+
+  // Write the full state to a temp file, then atomically swap it in
+  async writeSnapshot() {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    const lines = [
+      { op: 'init', nextId: this.nextId },
+      ...this.users.map(record => ({ op: 'put', record }))
+    ];
+
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+      await handle.writeFile(lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+      await handle.sync(); // Data on disk before the rename makes it visible
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rename(tmp, this.file);
+    this.entriesSinceCompact = 0;
+  }
+
+  async compact() {
+    await this.ready;
+    if (this.entriesSinceCompact === 0) return;
+    return this.enqueue(() => this.writeSnapshot());
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    await this.compact();
+  }
+
+  async findAll() {
+    await this.ready;
+    return super.findAll();
+  }
+
+  async findById(id) {
+    await this.ready;
+    return super.findById(id);
+  }
+
+  async create(data) {
+    await this.ready;
+    const user = await super.create(data);
+    await this.append({ op: 'put', record: user });
+    return user;
+  }
+
+  async update(id, data, options) {
+    await this.ready;
+    const user = await super.update(id, data, options);
+    if (user) await this.append({ op: 'put', record: user });
+    return user;
+  }
+
+  async remove(id, options) {
+    await this.ready;
+    const user = await super.remove(id, options);
+    if (user) await this.append({ op: 'remove', id });
+    return user;
+  }
+
+  async put(record) {
+    await this.ready;
+    const user = await super.put(record);
+    await this.append({ op: 'put', record: user });
+    return user;
+  }
+}
+
+// Pick an implementation: journal file when a path is given, memory otherwise
+function createUserRepository({ file, seed = [], ...options } = {}) {
+  return file
+    ? new JournalUserRepository(file, { seed, ...options })
+    : new MemoryUserRepository(seed);
+}
+
+module.exports = {
+  MemoryUserRepository,
+  JournalUserRepository,
+  VersionConflictError,
+  createUserRepository
+};
+
+/* INTERVIEW POINTS:
+1. Repository pattern hides storage behind a small interface
+2. Handlers depend on the interface, not on arrays or SQL
+3. Append-only logs make writes cheap and crash-friendly
+4. Compaction bounds log growth (same idea as Redis AOF rewrite)
+5. write temp file + fsync + rename = atomic file replacement
+6. Idempotent log entries make replay safe after a partial crash
+7. Version numbers enable optimistic concurrency (compare-and-swap)
+*/
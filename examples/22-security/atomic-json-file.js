@@ -0,0 +1,54 @@
+// JSON file rewritten atomically, one write at a time
+// Shared by the file-backed stores (refresh tokens, revocations)
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: How do you update a file without risking a half-written one?
+ * A: Write a temp file, then rename it over the original. rename() is atomic
+ *    on the same filesystem: readers (and a restart after a crash) see either
+ *    the old or the new content.
+ *
+ * Q2: Why queue the writes?
+ * A: Two overlapping writes can finish in either order, so an older snapshot
+ *    could replace a newer one. Chaining them keeps the order of the calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class AtomicJsonFile {
+	constructor(file) {
+		this.file = file;
+		this.queue = Promise.resolve();
+	}
+
+	// Saved value, or null on first run (the directory is created for later writes)
+	async read() {
+		try {
+			return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+		} catch (err) {
+			if (err.code !== 'ENOENT') throw err;
+			await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+			return null;
+		}
+	}
+
+	write(value) {
+		const json = JSON.stringify(value); // Snapshot now, not when the write runs
+		const write = this.queue.then(async () => {
+			const tmp = `${this.file}.${process.pid}.tmp`;
+			await fs.promises.writeFile(tmp, json);
+			await fs.promises.rename(tmp, this.file);
+		});
+		this.queue = write.catch(() => {}); // The caller sees the error; the queue moves on
+		return write;
+	}
+}
+
+module.exports = { AtomicJsonFile };
+
+// Example usage:
+// const file = new AtomicJsonFile('data/tokens.json');
+// const saved = (await file.read()) || {};
+// await file.write({ ...saved, abc: { userId: 1 } });
@@ -34,15 +34,23 @@
  * Q8: How do you implement resource-based authorization?
  * A: Check if user owns/can access specific resource:
  *    if (resource.userId !== req.user.id && req.user.role !== 'admin') return 403
+ *    Or write it as a policy rule over attributes - see policy-engine.js and /documents below.
+ *
+ * Q9: How do you avoid listing roles on every route?
+ * A: Check permissions (users:delete) instead of roles, and let roles inherit:
+ *    admin -> moderator -> user. See permissions.js.
  */
 
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const { createPolicy } = require('./permissions');
+const { createPolicyEngine } = require('./policy-engine');
 
 const app = express();
 app.use(express.json());
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+const policy = createPolicy();
 
 // --- Authentication middleware ---
 function authenticate(req, res, next) {
@@ -60,21 +68,34 @@ function authenticate(req, res, next) {
 }
 
 // --- Authorization middleware ---
+// Role check, inheritance-aware: authorize('moderator') also lets admins in
 function authorize(...roles) {
 	return (req, res, next) => {
 		if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
-		if (!roles.includes(req.user.role)) {
+		if (!roles.some(role => policy.hasRole(req.user, role))) {
 			return res.status(403).json({ error: 'Not authorized' });
 		}
 		return next();
 	};
 }
 
+// Permission check - preferred over role checks
+const { requirePermission } = policy;
+
+// Server-side user records: roles and department (used by ABAC rules) come
+// from here, never from the client
+const users = new Map([
+	['alice@example.com', { id: '123', email: 'alice@example.com', roles: ['user'], department: 'engineering' }],
+	['bob@example.com', { id: '456', email: 'bob@example.com', roles: ['moderator'], department: 'engineering' }],
+	['carol@example.com', { id: '789', email: 'carol@example.com', roles: ['admin'], department: 'hr' }]
+]);
+
 // Mock login: issues a token (authentication)
 app.post('/login', (req, res) => {
-	const { email } = req.body;
-	// In real apps: validate password and load user from DB
-	const user = { id: '123', email, role: 'user' };
+	// In real apps: validate the password too
+	const user = users.get(String(req.body.email).toLowerCase());
+	if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+
 	const token = jwt.sign(user, JWT_SECRET, { expiresIn: '15m' });
 	res.json({ token });
 });
@@ -84,12 +105,110 @@ app.get('/me', authenticate, (req, res) => {
 	res.json({ user: req.user });
 });
 
-// Authorized route (must be admin)
-app.delete('/users/:id', authenticate, authorize('admin'), (req, res) => {
+// Effective permissions (own + inherited, across all roles)
+app.get('/me/permissions', authenticate, (req, res) => {
+	res.json({ roles: policy.rolesOf(req.user), permissions: policy.permissionsFor(req.user) });
+});
+
+// Authorized route (moderators and anyone inheriting from them)
+app.get('/users', authenticate, requirePermission('users:read:any'), (req, res) => {
+	res.json({ users: [] });
+});
+
+// Authorized route (needs users:delete - admins via users:*)
+app.delete('/users/:id', authenticate, requirePermission('users:delete'), (req, res) => {
 	res.json({ message: `User ${req.params.id} deleted` });
 });
 
+// Role check still available where a role really is the rule
+app.get('/moderation', authenticate, authorize('moderator'), (req, res) => {
+	res.json({ message: 'Moderation queue' });
+});
+
+// --- Attribute-based authorization (ABAC) ---
+const documents = new Map([
+	['1', { id: '1', title: 'My notes', ownerId: '123', department: 'engineering', classification: 'internal' }],
+	['2', { id: '2', title: 'Roadmap', ownerId: '456', department: 'engineering', classification: 'internal' }],
+	['3', { id: '3', title: 'Salaries', ownerId: '789', department: 'hr', classification: 'confidential' }]
+]);
+
+const isBusinessHours = ({ environment }) => {
+	const hour = environment.now.getHours();
+	return hour >= 8 && hour < 18;
+};
+
+const documentRules = createPolicyEngine({
+	rules: [
+		{
+			id: 'admin-full-access',
+			description: 'Admins can do anything with documents',
+			effect: 'allow',
+			actions: ['*'],
+			condition: ({ subject }) => policy.hasRole(subject, 'admin')
+		},
+		{
+			id: 'owner-full-access',
+			description: 'Owners can read, update and delete their own documents',
+			effect: 'allow',
+			actions: ['documents:read', 'documents:update', 'documents:delete'],
+			condition: ({ subject, resource }) => resource.ownerId === subject.id
+		},
+		{
+			id: 'department-read',
+			description: 'Members of the same department can read its documents',
+			effect: 'allow',
+			actions: ['documents:read'],
+			condition: ({ subject, resource }) => resource.department === subject.department
+		},
+		{
+			id: 'confidential-owner-only',
+			description: 'Confidential documents are only visible to their owner and admins',
+			effect: 'deny',
+			actions: ['documents:read'],
+			condition: ({ subject, resource }) =>
+				resource.classification === 'confidential' &&
+				resource.ownerId !== subject.id &&
+				!policy.hasRole(subject, 'admin')
+		},
+		{
+			id: 'changes-in-business-hours',
+			description: 'Non-admins can only change documents between 08:00 and 18:00',
+			effect: 'deny',
+			actions: ['documents:update', 'documents:delete'],
+			condition: context => !isBusinessHours(context) && !policy.hasRole(context.subject, 'admin')
+		}
+	]
+});
+
+const loadDocument = req => documents.get(req.params.id) || null;
+
+app.get('/documents/:id', authenticate, documentRules.authorizeResource('documents:read', loadDocument), (req, res) => {
+	res.json({ document: req.resource, decision: req.decision });
+});
+
+app.put('/documents/:id', authenticate, documentRules.authorizeResource('documents:update', loadDocument), (req, res) => {
+	req.resource.title = req.body.title || req.resource.title;
+	res.json({ document: req.resource });
+});
+
+app.delete('/documents/:id', authenticate, documentRules.authorizeResource('documents:delete', loadDocument), (req, res) => {
+	documents.delete(req.resource.id);
+	res.json({ message: `Document ${req.resource.id} deleted` });
+});
+
+// Explain: what would happen if I tried this action? (debugging and audits)
+app.get('/documents/:id/explain', authenticate, (req, res) => {
+	const document = loadDocument(req);
+	if (!document) return res.status(404).json({ error: 'Not found' });
+
+	const action = req.query.action || 'documents:read';
+	res.json({ action, decision: documentRules.can(req.user, action, document, { ip: req.ip }) });
+});
+
 // Example usage:
-// 1) POST /login -> token
+// 1) POST /login { "email": "bob@example.com" } -> token (moderator)
 // 2) GET /me with Authorization: Bearer <token>
-// 3) DELETE /users/123 requires role=admin
+// 3) GET /me/permissions -> roles + effective permissions
+// 4) DELETE /users/123 requires users:delete (admin)
+// 5) As alice@example.com: GET /documents/2 -> allowed by department-read; GET /documents/3 -> denied by confidential-owner-only
+// 6) GET /documents/2/explain?action=documents:delete -> which rule decides and why
@@ -0,0 +1,234 @@
+// Rate-limit store shared by cluster workers
+// Counters live in the primary process; workers reach them over IPC
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: Why does in-memory rate limiting break under cluster?
+ * A: Every worker has its own memory, so each counts separately and the
+ *    effective limit becomes limit * workers (and depends on load balancing).
+ *
+ * Q2: How do workers share state without Redis?
+ * A: The primary holds the authoritative store. Workers send operations over
+ *    IPC (process.send) and wait for the reply. The primary queues the batches
+ *    and runs one operation at a time, so each operation is atomic.
+ *
+ * Q3: Functions can't be sent over IPC. How do the limiters update state?
+ * A: The limiter calls store.hit(algorithm, ...) and the primary runs the
+ *    algorithm next to the data, in one round trip (like a Redis Lua script).
+ *    Generic update(key, fn) uses optimistic concurrency instead: compute
+ *    locally, compare-and-set in the primary, retry if another worker won.
+ *
+ * Q4: Isn't a round trip per request slow?
+ * A: Operations issued in the same tick are sent as one batch and answered in
+ *    one reply. Under load that is one message per tick instead of per request.
+ *
+ * Q5: What if the primary is slow or gone?
+ * A: After timeoutMs the operation falls back to a local store. Limits are then
+ *    per worker (too generous, never blocking everyone) until the primary answers again.
+ *    Each operation carries a deadline and the primary skips the ones it dequeues
+ *    too late. That is best effort: a reply slower than the rest of the timeout
+ *    still arrives after the local fallback, and that hit is counted twice.
+ */
+
+const { MemoryStore, ALGORITHMS } = require('./rate-limiter');
+
+// JSON over IPC turns undefined into null; missing keys are undefined again
+const fromWire = value => (value === null ? undefined : value);
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Operations either side can run against a MemoryStore
+const OPERATIONS = {
+	get: (store, key) => store.get(key),
+	set: (store, key, value, ttlMs) => store.set(key, value, ttlMs),
+	delete: (store, key) => store.delete(key),
+	increment: (store, key, amount, ttlMs) => store.increment(key, amount, ttlMs),
+	async compareAndSet(store, key, expected, value, ttlMs) {
+		let swapped = false;
+		const current = await store.update(key, previous => {
+			swapped = sameValue(previous, expected);
+			return swapped ? value : previous;
+		}, ttlMs);
+		return { swapped, value: current };
+	},
+	hit(store, algorithm, key, config, now) {
+		if (!ALGORITHMS[algorithm]) throw new Error(`Unknown algorithm '${algorithm}'`);
+		return ALGORITHMS[algorithm].hit(store, key, config, now);
+	}
+};
+
+// 1. Primary: answers worker batches from one authoritative store
+function serveClusterStore(cluster, store = new MemoryStore()) {
+	// Several messages can arrive in one read; without the queue their
+	// operations would interleave at every await
+	let queue = Promise.resolve();
+
+	async function run(worker, batch) {
+		// In order, so a batch behaves like the same calls made one by one
+		const results = [];
+		for (const { id, op, args, deadline } of batch) {
+			// The worker has answered (or is about to answer) this one locally
+			if (Date.now() > deadline) {
+				results.push({ id, expired: true });
+				continue;
+			}
+			try {
+				if (!OPERATIONS[op]) throw new Error(`Unknown operation '${op}'`);
+				results.push({ id, value: await OPERATIONS[op](store, ...args) });
+			} catch (err) {
+				results.push({ id, error: err.message });
+			}
+		}
+
+		if (worker.isConnected()) worker.send({ cmd: 'rate-limit:results', results });
+	}
+
+	cluster.on('message', (worker, msg) => {
+		if (!msg || msg.cmd !== 'rate-limit') return;
+		queue = queue.then(() => run(worker, msg.batch)).catch(console.error);
+	});
+
+	return store;
+}
+
+// 2. Worker: same interface as MemoryStore, backed by the primary
+class ClusterStore {
+	constructor({ timeoutMs = 100, maxRetries = 10, fallback = new MemoryStore() } = {}) {
+		this.timeoutMs = timeoutMs;
+		this.maxRetries = maxRetries;
+		this.fallback = fallback;
+		this.lastId = 0;
+		this.pending = new Map(); // id -> { op, args, resolve, reject, timer }
+		this.batch = [];
+		this.degraded = false;
+
+		this.onMessage = msg => {
+			if (!msg || msg.cmd !== 'rate-limit:results') return;
+			for (const result of msg.results) this.settle(result);
+		};
+		process.on('message', this.onMessage);
+	}
+
+	request(op, args) {
+		// Not running under cluster (or the primary is gone): local only
+		if (!process.send || !process.connected) {
+			return OPERATIONS[op](this.fallback, ...args);
+		}
+
+		return new Promise((resolve, reject) => {
+			const id = ++this.lastId;
+
+			// Primary too slow: answer locally instead of stalling the request.
+			// The primary skips operations it dequeues after `deadline` (half the
+			// timeout, leaving the other half for the reply). One applied just
+			// before it whose reply comes late is counted both there and here.
+			const deadline = Date.now() + this.timeoutMs / 2;
+			const timer = setTimeout(() => this.answerLocally(id), this.timeoutMs);
+
+			this.pending.set(id, { op, args, resolve, reject, timer });
+			this.batch.push({ id, op, args, deadline });
+			if (this.batch.length === 1) setImmediate(() => this.flush());
+		});
+	}
+
+	flush() {
+		const batch = this.batch;
+		this.batch = [];
+
+		// Primary gone since the request was queued, or the send fails:
+		// without the callback a failed send emits an unhandled 'error'
+		if (!process.connected) {
+			batch.forEach(({ id }) => this.answerLocally(id));
+			return;
+		}
+		process.send({ cmd: 'rate-limit', batch }, err => {
+			if (err) batch.forEach(({ id }) => this.answerLocally(id));
+		});
+	}
+
+	answerLocally(id) {
+		const pending = this.pending.get(id);
+		if (!pending) return; // Already answered
+		this.pending.delete(id);
+		clearTimeout(pending.timer);
+
+		if (!this.degraded) {
+			this.degraded = true;
+			console.warn(`Worker ${process.pid}: rate-limit primary unavailable, using local counters`);
+		}
+		Promise.resolve()
+			.then(() => OPERATIONS[pending.op](this.fallback, ...pending.args))
+			.then(pending.resolve, pending.reject);
+	}
+
+	settle({ id, value, error, expired }) {
+		if (expired) return this.answerLocally(id); // Skipped by the primary
+
+		const pending = this.pending.get(id);
+		if (!pending) return; // Already answered locally
+		this.pending.delete(id);
+		clearTimeout(pending.timer);
+
+		if (this.degraded) {
+			this.degraded = false;
+			console.warn(`Worker ${process.pid}: rate-limit primary back`);
+		}
+		if (error) pending.reject(new Error(error));
+		else pending.resolve(value);
+	}
+
+	async get(key) {
+		return fromWire(await this.request('get', [key]));
+	}
+
+	async set(key, value, ttlMs) {
+		await this.request('set', [key, value, ttlMs]);
+	}
+
+	async delete(key) {
+		await this.request('delete', [key]);
+	}
+
+	async increment(key, amount, ttlMs) {
+		return this.request('increment', [key, amount, ttlMs]);
+	}
+
+	// The algorithm runs in the primary: one round trip, and atomic because
+	// the primary handles one operation at a time (like a Redis Lua script)
+	async hit(algorithm, key, config, now) {
+		return this.request('hit', [algorithm, key, config, now]);
+	}
+
+	// fn runs here; the primary only swaps if nobody wrote in between
+	async update(key, fn, ttlMs) {
+		let current = await this.get(key);
+
+		for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+			const next = fn(current);
+			const { swapped, value } = await this.request('compareAndSet', [key, current ?? null, next, ttlMs]);
+			if (swapped) return next;
+			current = fromWire(value);
+		}
+
+		// Constant contention on one key: decide locally rather than fail
+		return this.fallback.update(key, fn, ttlMs);
+	}
+
+	close() {
+		process.removeListener('message', this.onMessage);
+		this.fallback.close();
+	}
+}
+
+module.exports = {
+	ClusterStore,
+	serveClusterStore
+};
+
+// Example usage:
+// if (cluster.isMaster) {
+//   serveClusterStore(cluster);
+// } else {
+//   const limiter = createLimiter({ limit: 100, windowMs: 60000, store: new ClusterStore() });
+//   await limiter.hit(ip) -> counted across all workers
+// }
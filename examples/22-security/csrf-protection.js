@@ -0,0 +1,185 @@
+// CSRF protection middleware (replaces the deprecated csurf package)
+// Two patterns: signed double-submit cookie, or synchronizer token in the session
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: Why sign the double-submit cookie?
+ * A: Plain double-submit only checks cookie == header. An attacker who can set
+ *    cookies (a sibling subdomain, a MITM on http) can plant both. An HMAC bound
+ *    to the session can't be forged without the server secret.
+ *
+ * Q2: Double-submit vs synchronizer token?
+ * A: Double-submit is stateless: the cookie carries the token, the server keeps nothing.
+ *    Synchronizer keeps the token in the server-side session and compares against it.
+ *    It needs sessions, but nothing about the token lives in the browser except the page.
+ *
+ * Q3: Why also check Origin/Referer?
+ * A: Browsers set Origin on cross-site POSTs and scripts can't forge it. A foreign
+ *    origin is rejected before the token is even looked at (defence in depth).
+ *    A missing header is allowed: some proxies and privacy settings strip it.
+ *
+ * Q4: Why rotate the token on login?
+ * A: A token obtained before login (or planted by an attacker: session fixation)
+ *    must not stay valid for the authenticated session.
+ *
+ * Q5: Why compare with crypto.timingSafeEqual?
+ * A: A normal === returns early at the first differing byte, which leaks how much
+ *    of a guess was right through response timing.
+ */
+
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+function safeEqual(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') return false;
+	const left = Buffer.from(a);
+	const right = Buffer.from(b);
+	return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Origin header, or the origin part of Referer; null when neither is sent
+function requestOrigin(req) {
+	const origin = req.get('origin');
+	if (origin && origin !== 'null') return origin;
+
+	const referer = req.get('referer');
+	if (!referer) return origin || null;
+	try {
+		return new URL(referer).origin;
+	} catch (err) {
+		return 'invalid';
+	}
+}
+
+// Token in the x-csrf-token header, or in the body (form field or JSON)
+function submittedToken(req, { headerName, fieldName }) {
+	return req.get(headerName) || (req.body && req.body[fieldName]);
+}
+
+// options:
+//   mode            'double-submit' (default) or 'synchronizer'
+//   secret          HMAC key for double-submit tokens (CSRF_SECRET)
+//   session         req => session object with an `id` (binds tokens to it)
+//   allowedOrigins  trusted origins; defaults to the request's own origin
+function csrf({
+	mode = 'double-submit',
+	secret = process.env.CSRF_SECRET,
+	session = req => req.session,
+	cookieName = 'csrf',
+	cookie = {},
+	headerName = 'x-csrf-token',
+	fieldName = '_csrf',
+	allowedOrigins,
+	safeMethods = SAFE_METHODS
+} = {}) {
+	if (!['double-submit', 'synchronizer'].includes(mode)) {
+		throw new Error(`Unknown CSRF mode '${mode}'`);
+	}
+	if (mode === 'double-submit' && !secret) {
+		// Works, but every restart invalidates the tokens already handed out
+		secret = crypto.randomBytes(32);
+		console.warn('CSRF_SECRET not set, using a random secret');
+	}
+
+	const cookieOptions = {
+		httpOnly: true, // Clients get the token from an endpoint, not the cookie
+		sameSite: 'lax',
+		secure: process.env.NODE_ENV === 'production',
+		path: '/',
+		...cookie
+	};
+
+	// Signed double-submit: random.hmac(sessionId, random)
+	const bindingOf = req => {
+		const current = session(req);
+		return current ? String(current.id) : '';
+	};
+	const sign = (binding, random) => crypto.createHmac('sha256', secret)
+		.update(`${binding}!${random}`)
+		.digest('base64url');
+	const isSigned = (req, token) => {
+		if (typeof token !== 'string') return false;
+		const [random, signature] = token.split('.');
+		return Boolean(random) && safeEqual(signature, sign(bindingOf(req), random));
+	};
+
+	function issue(req, res) {
+		if (mode === 'synchronizer') {
+			const current = session(req);
+			if (!current) throw new Error('Synchronizer CSRF tokens need a session');
+			current.csrfToken = randomToken();
+			return current.csrfToken;
+		}
+
+		const random = randomToken();
+		const token = `${random}.${sign(bindingOf(req), random)}`;
+		res.cookie(cookieName, token, cookieOptions);
+		req.cookies[cookieName] = token; // Later calls in this request see it
+		return token;
+	}
+
+	// Current valid token, or a new one
+	function currentToken(req, res) {
+		if (mode === 'synchronizer') {
+			const current = session(req);
+			return (current && current.csrfToken) || issue(req, res);
+		}
+		const token = req.cookies[cookieName];
+		return isSigned(req, token) ? token : issue(req, res);
+	}
+
+	function reject(res, reason) {
+		return res.status(403).json({ error: 'Invalid CSRF token', reason });
+	}
+
+	return (req, res, next) => {
+		if (!req.cookies) {
+			return next(new Error('CSRF protection needs cookie-parser'));
+		}
+
+		// Same API as csurf: req.csrfToken() for forms and token endpoints;
+		// req.rotateCsrfToken() after login (and after the session id changes)
+		req.csrfToken = () => currentToken(req, res);
+		req.rotateCsrfToken = () => issue(req, res);
+
+		if (safeMethods.includes(req.method)) return next();
+
+		const origin = requestOrigin(req);
+		const trusted = allowedOrigins || [`${req.protocol}://${req.get('host')}`];
+		if (origin && !trusted.includes(origin)) {
+			return reject(res, 'Cross-origin request');
+		}
+
+		const token = submittedToken(req, { headerName, fieldName });
+		if (!token) return reject(res, 'Missing token');
+
+		if (mode === 'synchronizer') {
+			const current = session(req);
+			if (!current || !safeEqual(token, current.csrfToken)) return reject(res, 'Token mismatch');
+			return next();
+		}
+
+		// Must match the cookie AND carry a valid signature for this session
+		const cookieToken = req.cookies[cookieName];
+		if (!safeEqual(token, cookieToken) || !isSigned(req, token)) {
+			return reject(res, 'Token mismatch');
+		}
+		return next();
+	};
+}
+
+module.exports = {
+	csrf,
+	SAFE_METHODS
+};
+
+// Example usage:
+// app.use(cookieParser());
+// const csrfProtection = csrf({ secret: process.env.CSRF_SECRET });
+// app.get('/csrf-token', csrfProtection, (req, res) => res.json({ csrfToken: req.csrfToken() }));
+// app.post('/transfer', csrfProtection, handler); // token in x-csrf-token, _csrf field or JSON body
+// const formCsrf = csrf({ mode: 'synchronizer', session: req => req.session });
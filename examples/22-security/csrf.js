@@ -38,17 +38,32 @@
  * Q9: What HTTP methods should be CSRF protected?
  * A: All state-changing: POST, PUT, DELETE, PATCH
  *    GET should never change state (safe methods).
+ *
+ * Q10: How do you implement it without a library?
+ * A: See csrf-protection.js: signed double-submit cookie or synchronizer token,
+ *    Origin/Referer check, token from header/form/JSON, rotation on login.
  */
 const express = require('express');
+const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
-const csurf = require('csurf');
+const { csrf } = require('./csrf-protection');
 
 const app = express();
 app.use(express.json());
+app.use(express.urlencoded({ extended: false })); // HTML forms send _csrf as a field
 app.use(cookieParser());
 
-// Use cookie-based CSRF tokens
-const csrfProtection = csurf({
+// Minimal sessions: sid cookie -> { id, userId, csrfToken } (use a real store in production)
+const sessions = new Map();
+
+app.use((req, res, next) => {
+	req.session = sessions.get(req.cookies.sid);
+	next();
+});
+
+// Signed double-submit cookie, bound to the session when there is one
+const csrfProtection = csrf({
+	secret: process.env.CSRF_SECRET,
 	cookie: {
 		httpOnly: true,
 		sameSite: 'lax',
@@ -56,16 +71,56 @@ const csrfProtection = csurf({
 	}
 });
 
+// Synchronizer token: kept in the session, rendered into the form
+const formProtection = csrf({ mode: 'synchronizer' });
+
 // Provide token to client
 app.get('/csrf-token', csrfProtection, (req, res) => {
 	res.json({ csrfToken: req.csrfToken() });
 });
 
+// Login is protected too (login CSRF signs the victim into the attacker's account)
+app.post('/login', csrfProtection, (req, res) => {
+	const { username } = req.body;
+	if (!username) {
+		return res.status(400).json({ error: 'Username required' });
+	}
+
+	// New session id on login (no session fixation) and a token bound to it
+	const session = { id: crypto.randomBytes(32).toString('base64url'), userId: username };
+	sessions.set(session.id, session);
+	res.cookie('sid', session.id, {
+		httpOnly: true,
+		sameSite: 'lax',
+		secure: process.env.NODE_ENV === 'production'
+	});
+	req.session = session;
+
+	res.json({ status: 'logged in', csrfToken: req.rotateCsrfToken() });
+});
+
 // Protect state-changing routes
 app.post('/transfer', csrfProtection, (req, res) => {
 	res.json({ status: 'transfer initiated' });
 });
 
+app.get('/profile', formProtection, (req, res) => {
+	if (!req.session) {
+		return res.status(401).send('Log in first');
+	}
+	res.send(`<form method="POST" action="/profile">
+	<input type="hidden" name="_csrf" value="${req.csrfToken()}">
+	<input name="displayName">
+	<button>Save</button>
+</form>`);
+});
+
+app.post('/profile', formProtection, (req, res) => {
+	res.json({ status: 'profile updated' });
+});
+
 // Example usage:
 // 1) GET /csrf-token -> token
-// 2) POST /transfer with header: "x-csrf-token: <token>"
+// 2) POST /transfer with header: "x-csrf-token: <token>" (or _csrf in a form/JSON body)
+// 3) POST /login -> new session + rotated token; the old token stops working
+// 4) GET /profile -> form with a synchronizer token; POST /profile submits it
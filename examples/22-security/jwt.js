@@ -47,20 +47,33 @@
  * Q10: Why validate iss and aud claims?
  * A: Prevents token reuse across services/applications.
  *    Ensures token was issued by your server and intended for your app.
+ *
+ * Q11: How do other services verify tokens without the signing key?
+ * A: Sign with a private key (RS256/ES256) and a kid header; publish the public
+ *    keys at /.well-known/jwks.json. Verifiers pick the key by kid. See keyring.js.
  */
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { KeyRing, createJwksVerifier } = require('./keyring');
 
 const app = express();
 app.use(express.json());
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+// Private keys never leave this service; only public keys are published
+const keyring = new KeyRing({ algorithm: process.env.JWT_ALGORITHM || 'RS256' });
+
+// Other services set JWKS_URI to this server's /.well-known/jwks.json
+const JWKS_URI = process.env.JWKS_URI;
+const verifyToken = createJwksVerifier({
+	getJwks: JWKS_URI
+		? async () => (await fetch(JWKS_URI)).json()
+		: async () => keyring.jwks()
+});
 
 // Sign a token
 app.post('/login', (req, res) => {
 	const { email } = req.body;
 	const user = { id: '123', email, role: 'user' };
-	const token = jwt.sign(user, JWT_SECRET, {
+	const token = keyring.sign(user, {
 		expiresIn: '15m',
 		issuer: 'myapp',
 		audience: 'myapp-users'
@@ -68,14 +81,24 @@ app.post('/login', (req, res) => {
 	res.json({ token });
 });
 
-// Verify token middleware
-function authenticate(req, res, next) {
+// Public keys for verifiers (kid -> key)
+app.get('/.well-known/jwks.json', (req, res) => {
+	res.set('Cache-Control', 'public, max-age=600');
+	res.json(keyring.jwks());
+});
+
+// Rotate the signing key (call on a schedule, e.g. daily).
+// Tokens signed with the previous key keep verifying until it is retired.
+setInterval(() => keyring.rotate(), 24 * 60 * 60 * 1000).unref();
+
+// Verify token middleware (signature checked against the JWKS key with the token's kid)
+async function authenticate(req, res, next) {
 	const authHeader = req.headers.authorization;
 	const token = authHeader && authHeader.split(' ')[1];
 	if (!token) return res.status(401).json({ error: 'Missing token' });
 
 	try {
-		req.user = jwt.verify(token, JWT_SECRET, {
+		req.user = await verifyToken(token, {
 			issuer: 'myapp',
 			audience: 'myapp-users'
 		});
@@ -91,3 +114,4 @@ app.get('/me', authenticate, (req, res) => {
 
 // Example usage:
 // Authorization: Bearer <token>
+// GET /.well-known/jwks.json -> { keys: [{ kty, n, e, kid, alg: 'RS256', use: 'sig' }] }
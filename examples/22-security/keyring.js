@@ -0,0 +1,130 @@
+// Asymmetric JWT signing keys: rotation, kid and JWKS
+// Private key signs, public keys (published as JWKS) verify
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: Why RS256/ES256 instead of HS256 for microservices?
+ * A: With HS256 every service that verifies can also forge tokens (same secret).
+ *    With asymmetric keys only the auth server holds the private key.
+ *
+ * Q2: What is the kid header for?
+ * A: Key ID. During rotation several keys are valid; kid tells the verifier
+ *    which public key to use without trying them all.
+ *
+ * Q3: How does key rotation work without logging everyone out?
+ * A: New key becomes active (signs new tokens). Old keys stay in the JWKS as
+ *    verify-only until every token they signed has expired, then are retired.
+ *
+ * Q4: What is JWKS?
+ * A: JSON Web Key Set - { keys: [...] } of public keys, usually served at
+ *    /.well-known/jwks.json. Verifiers fetch and cache it, and refetch on an unknown kid.
+ *
+ * Q5: What must a verifier pin?
+ * A: The algorithm(s). Never let the token header choose (alg: none / HS-with-public-key attacks).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const KEY_TYPES = {
+	RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+	ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+};
+
+// Public part of a key as a JWK (what goes into the JWKS)
+function toJwk(key) {
+	return { ...key.publicKey.export({ format: 'jwk' }), kid: key.kid, alg: key.alg, use: 'sig' };
+}
+
+class KeyRing {
+	// verifyFor: how long a replaced key keeps verifying (>= longest token lifetime)
+	constructor({ algorithm = 'RS256', verifyFor = 24 * 60 * 60 * 1000 } = {}) {
+		if (!KEY_TYPES[algorithm]) throw new Error(`Unsupported algorithm '${algorithm}'`);
+		this.algorithm = algorithm;
+		this.verifyFor = verifyFor;
+		this.keys = []; // Newest first; keys[0] signs
+		this.rotate();
+	}
+
+	get activeKey() {
+		return this.keys[0];
+	}
+
+	// New key signs from now on; old keys verify until verifyFor has passed
+	rotate() {
+		const now = Date.now();
+		if (this.activeKey) this.activeKey.replacedAt = now;
+		this.keys = this.keys.filter(key => !key.replacedAt || key.replacedAt + this.verifyFor > now);
+
+		const { privateKey, publicKey } = KEY_TYPES[this.algorithm]();
+		const key = {
+			kid: crypto.randomUUID(),
+			alg: this.algorithm,
+			privateKey,
+			publicKey,
+			createdAt: now,
+			replacedAt: null
+		};
+		this.keys.unshift(key);
+		return key.kid;
+	}
+
+	// Remove a key early (e.g. it leaked). Its tokens stop verifying here at once,
+	// and at other services once their JWKS cache expires
+	retire(kid) {
+		if (this.activeKey && this.activeKey.kid === kid) throw new Error('Rotate before retiring the active key');
+		this.keys = this.keys.filter(key => key.kid !== kid);
+	}
+
+	sign(payload, options = {}) {
+		const key = this.activeKey;
+		return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+	}
+
+	jwks() {
+		return { keys: this.keys.map(toJwk) };
+	}
+}
+
+// Verifies tokens using only a JWKS document - no shared secret.
+// getJwks: async () => ({ keys }) e.g. fetched from another service.
+function createJwksVerifier({ getJwks, algorithms = ['RS256', 'ES256'], cacheFor = 10 * 60 * 1000 }) {
+	let keys = new Map(); // kid -> { alg, publicKey }
+	let fetchedAt = 0;
+
+	async function refresh() {
+		const { keys: jwks = [] } = await getJwks();
+		keys = new Map(
+			jwks
+				.filter(jwk => jwk.kid && algorithms.includes(jwk.alg))
+				.map(jwk => [jwk.kid, { alg: jwk.alg, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }])
+		);
+		fetchedAt = Date.now();
+	}
+
+	return async function verify(token, options = {}) {
+		const decoded = jwt.decode(token, { complete: true });
+		const kid = decoded && decoded.header.kid;
+		if (!kid) throw new jwt.JsonWebTokenError('Token has no kid');
+
+		// Stale cache, or a kid we haven't seen (the issuer rotated): refetch.
+		// At most once per second, so garbage kids can't hammer the JWKS endpoint.
+		const stale = Date.now() - fetchedAt > cacheFor;
+		if (stale || (!keys.has(kid) && Date.now() - fetchedAt > 1000)) await refresh();
+
+		const key = keys.get(kid);
+		if (!key) throw new jwt.JsonWebTokenError(`Unknown kid '${kid}'`);
+
+		// Algorithm comes from the key, never from the token header
+		return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+	};
+}
+
+module.exports = { KeyRing, createJwksVerifier };
+
+// Example usage:
+// const keyring = new KeyRing({ algorithm: 'ES256' });
+// const token = keyring.sign({ sub: '123' }, { expiresIn: '15m' });
+// const verify = createJwksVerifier({ getJwks: async () => keyring.jwks() });
+// await verify(token); keyring.rotate(); await verify(token); // Still valid
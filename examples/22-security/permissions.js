@@ -0,0 +1,124 @@
+// Permission-based authorization (RBAC with role inheritance)
+// Roles are named bundles of permissions; routes check permissions, not roles
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: Why check permissions instead of roles in routes?
+ * A: authorize('admin', 'moderator') has to be edited every time a role is added.
+ *    requirePermission('users:delete') stays the same; only the role definitions change.
+ *
+ * Q2: How does role inheritance work?
+ * A: A role lists the roles it inherits from: admin -> moderator -> user.
+ *    Effective permissions = own permissions + everything inherited (transitively).
+ *
+ * Q3: How do you name permissions?
+ * A: resource:action[:scope], e.g. users:read:any vs users:read:own.
+ *    A wildcard segment grants everything below it: users:* covers users:delete.
+ *
+ * Q4: How do you handle users with several roles?
+ * A: Store roles as an array; effective permissions are the union over all roles.
+ *
+ * Q5: Should permissions go into the JWT?
+ * A: Put roles in the token, resolve permissions on the server.
+ *    Changing a role definition then applies immediately, and tokens stay small.
+ */
+
+// role -> { inherits: [roles], permissions: [permissions] }
+const DEFAULT_ROLES = {
+	user: {
+		inherits: [],
+		permissions: ['users:read:own', 'users:update:own']
+	},
+	moderator: {
+		inherits: ['user'],
+		permissions: ['users:read:any', 'posts:delete:any']
+	},
+	admin: {
+		inherits: ['moderator'],
+		permissions: ['users:*', 'sessions:manage']
+	}
+};
+
+// Does a granted permission cover the required one?
+// 'users:*' covers 'users:delete'; 'users:read:any' covers 'users:read:own'
+function covers(granted, required) {
+	const grantedParts = granted.split(':');
+	const requiredParts = required.split(':');
+
+	for (let i = 0; i < grantedParts.length; i++) {
+		if (grantedParts[i] === '*') return true;
+		if (grantedParts[i] === requiredParts[i]) continue;
+		if (grantedParts[i] === 'any' && requiredParts[i] === 'own' && i === grantedParts.length - 1) continue;
+		return false;
+	}
+	return grantedParts.length === requiredParts.length;
+}
+
+function createPolicy(roles = DEFAULT_ROLES) {
+	// Expand inheritance once, failing fast on typos and cycles
+	const expanded = {};
+
+	function expand(role, path = []) {
+		if (expanded[role]) return expanded[role];
+		if (!roles[role]) throw new Error(`Unknown role '${role}'`);
+		if (path.includes(role)) throw new Error(`Role cycle: ${[...path, role].join(' -> ')}`);
+
+		const ancestors = new Set([role]);
+		const permissions = new Set(roles[role].permissions);
+		for (const parent of roles[role].inherits || []) {
+			const inherited = expand(parent, [...path, role]);
+			inherited.roles.forEach(r => ancestors.add(r));
+			inherited.permissions.forEach(p => permissions.add(p));
+		}
+
+		expanded[role] = { roles: ancestors, permissions };
+		return expanded[role];
+	}
+	Object.keys(roles).forEach(role => expand(role));
+
+	// Accepts { roles: [...] } or the older single { role }
+	function rolesOf(user) {
+		const assigned = user.roles || (user.role ? [user.role] : []);
+		return assigned.filter(role => expanded[role]);
+	}
+
+	// Union over all roles, including inherited ones
+	function permissionsFor(user) {
+		const permissions = new Set();
+		rolesOf(user).forEach(role => expanded[role].permissions.forEach(p => permissions.add(p)));
+		return [...permissions].sort();
+	}
+
+	// hasRole(admin, 'moderator') is true: admin inherits moderator
+	function hasRole(user, role) {
+		return rolesOf(user).some(r => expanded[r].roles.has(role));
+	}
+
+	function can(user, permission) {
+		return permissionsFor(user).some(granted => covers(granted, permission));
+	}
+
+	// All listed permissions are required
+	function requirePermission(...permissions) {
+		return (req, res, next) => {
+			if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+
+			const missing = permissions.filter(permission => !can(req.user, permission));
+			if (missing.length) {
+				return res.status(403).json({ error: 'Not authorized', missing });
+			}
+			return next();
+		};
+	}
+
+	return { rolesOf, permissionsFor, hasRole, can, requirePermission };
+}
+
+module.exports = { createPolicy, DEFAULT_ROLES };
+
+// Example usage:
+// const policy = createPolicy();
+// app.delete('/users/:id', authenticate, policy.requirePermission('users:delete'), handler);
+// policy.permissionsFor({ roles: ['moderator'] })
+//   -> ['posts:delete:any', 'users:read:any', 'users:read:own', 'users:update:own']
@@ -46,30 +46,71 @@
  *    Both control request rate, different approaches
  *
  * Q10: How do you communicate rate limits to clients?
- * A: Response headers:
- *    X-RateLimit-Limit: max requests
- *    X-RateLimit-Remaining: requests left
- *    X-RateLimit-Reset: timestamp when resets
+ * A: Response headers (IETF draft standard; older APIs use X-RateLimit-*):
+ *    RateLimit-Limit: max requests
+ *    RateLimit-Remaining: requests left
+ *    RateLimit-Reset: seconds until the window resets
+ *    Retry-After: seconds to wait (on 429)
+ *
+ * Q11: How do you implement the algorithms yourself?
+ * A: See rate-limiter.js: fixed window, sliding window counter, sliding log and
+ *    token bucket over one store interface with TTL eviction.
+ *
+ * Q12: How do you give paying customers higher limits?
+ * A: Key the limit on the user (or API key) instead of the IP, and look the
+ *    limit up from the user's plan on each request. Combine a short burst limit
+ *    with a daily quota, and expose the remaining quota (GET /rate-limit/status).
  */
 const express = require('express');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, rateLimitRules, keys, MemoryStore } = require('./rate-limiter');
 
 const app = express();
 
-// Global limiter
-const globalLimiter = rateLimit({
-	windowMs: 15 * 60 * 1000,
-	max: 100,
-	standardHeaders: true,
-	legacyHeaders: false
+// One store for all limiters; expired keys are evicted
+// (under cluster: ClusterStore from cluster-store.js; across servers: Redis)
+const store = new MemoryStore();
+
+// Per-plan quotas: burst = requests per second, daily = requests per day
+const PLANS = {
+	anonymous: { burst: 2, daily: 100 },
+	free: { burst: 5, daily: 1000 },
+	pro: { burst: 20, daily: 50000 }
+};
+
+// Demo API keys (in production: stored hashed, looked up in the database)
+const apiKeys = new Map([
+	['free-key-123', { id: 'user-1', plan: 'free' }],
+	['pro-key-456', { id: 'user-2', plan: 'pro' }]
+]);
+
+// Identify the caller before limiting, so limits follow the user, not the IP
+app.use((req, res, next) => {
+	const user = apiKeys.get(req.get('x-api-key'));
+	if (user) req.user = user;
+	next();
+});
+
+const planOf = req => PLANS[req.user ? req.user.plan : 'anonymous'];
+
+// Global limits: burst (token bucket) then daily quota (fixed window).
+// Anonymous callers are counted per IP, authenticated ones per user.
+const globalLimiter = rateLimitRules({
+	store,
+	exempt: ['/health'],
+	rules: [
+		{ name: 'burst', algorithm: 'token-bucket', limit: req => planOf(req).burst, windowMs: 1000, key: keys.user },
+		{ name: 'daily', algorithm: 'fixed-window', limit: req => planOf(req).daily, windowMs: 24 * 60 * 60 * 1000, key: keys.user }
+	]
 });
 
 app.use(globalLimiter);
 
-// Stricter limiter for auth routes
+// Stricter limiter for auth routes (sliding log: exact, fine for small limits)
 const authLimiter = rateLimit({
+	algorithm: 'sliding-log',
+	limit: 5,
 	windowMs: 15 * 60 * 1000,
-	max: 5,
+	store,
 	message: 'Too many login attempts, try again later.'
 });
 
@@ -77,6 +118,36 @@ app.post('/login', authLimiter, (req, res) => {
 	res.json({ ok: true });
 });
 
+// Per user per route: expensive endpoints get their own budget
+const exportLimiter = rateLimit({
+	algorithm: 'sliding-window',
+	limit: 10,
+	windowMs: 60 * 60 * 1000,
+	store,
+	key: keys.combine(keys.user, keys.route)
+});
+
+app.get('/reports/export', exportLimiter, (req, res) => {
+	res.json({ ok: true });
+});
+
+// Remaining quota without using any (still counts towards the global limits)
+app.get('/rate-limit/status', async (req, res, next) => {
+	try {
+		res.json({
+			plan: req.user ? req.user.plan : 'anonymous',
+			limits: await globalLimiter.status(req)
+		});
+	} catch (err) {
+		next(err);
+	}
+});
+
+// Exempt from the global limiter (monitoring polls often)
 app.get('/health', (req, res) => {
 	res.json({ status: 'ok' });
 });
+
+// Example usage:
+// curl -H "x-api-key: pro-key-456" localhost:3000/rate-limit/status
+// -> { plan: 'pro', limits: [{ name: 'burst', limit: 20, remaining: 19, ... }, { name: 'daily', ... }] }
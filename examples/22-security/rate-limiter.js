@@ -0,0 +1,390 @@
+// Rate limiting library: four algorithms behind one interface
+// fixed-window, sliding-window (counter), sliding-log, token-bucket
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: How do the algorithms compare?
+ * A: Fixed window: one counter per window. Cheap, but allows 2x the limit at a boundary.
+ *    Sliding window counter: current + weighted previous window. Cheap and smooth (approximate).
+ *    Sliding log: a timestamp per request. Exact, but memory grows with the limit.
+ *    Token bucket: refills at a steady rate, allows bursts up to the bucket size.
+ *
+ * Q2: Why does the store need TTLs?
+ * A: Every client creates state. Without expiry, idle keys are never removed and
+ *    memory grows without bound (a slow leak that an attacker can speed up).
+ *
+ * Q3: Which headers should a limiter send?
+ * A: RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds), RateLimit-Policy
+ *    (IETF draft standard) and Retry-After on 429 responses.
+ *
+ * Q4: Why a pluggable store?
+ * A: In-memory works for one process. Several processes or servers need shared
+ *    state (Redis, or the cluster primary) behind the same interface.
+ */
+
+const crypto = require('crypto');
+
+// 1. Store interface (all async):
+//   get(key), set(key, value, ttlMs), delete(key)
+//   increment(key, amount, ttlMs) -> new count (TTL starts when the key is created)
+//   update(key, fn, ttlMs)        -> atomic read-modify-write, returns fn's result
+//   hit(algorithm, key, config, now) (optional) -> run the algorithm inside the store
+class MemoryStore {
+	constructor({ sweepEvery = 60000 } = {}) {
+		this.entries = new Map(); // key -> { value, expiresAt }
+
+		// Evict expired keys even if they are never read again
+		this.timer = setInterval(() => this.sweep(), sweepEvery);
+		this.timer.unref();
+	}
+
+	read(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return undefined;
+		if (entry.expiresAt <= Date.now()) {
+			this.entries.delete(key);
+			return undefined;
+		}
+		return entry;
+	}
+
+	sweep() {
+		const now = Date.now();
+		for (const [key, entry] of this.entries) {
+			if (entry.expiresAt <= now) this.entries.delete(key);
+		}
+	}
+
+	async get(key) {
+		const entry = this.read(key);
+		return entry && entry.value;
+	}
+
+	async set(key, value, ttlMs) {
+		this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+	}
+
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	async increment(key, amount, ttlMs) {
+		const entry = this.read(key);
+		if (entry) {
+			entry.value += amount;
+			return entry.value;
+		}
+		this.entries.set(key, { value: amount, expiresAt: Date.now() + ttlMs });
+		return amount;
+	}
+
+	// Synchronous inside, so nothing can interleave between read and write
+	async update(key, fn, ttlMs) {
+		const entry = this.read(key);
+		const next = fn(entry && entry.value);
+		this.entries.set(key, { value: next, expiresAt: Date.now() + ttlMs });
+		return next;
+	}
+
+	close() {
+		clearInterval(this.timer);
+	}
+}
+
+// 2. Algorithms: { hit, peek }
+//    hit(store, key, { limit, windowMs }, now) -> { allowed, remaining, resetMs, retryAfterMs }
+//    peek(...) -> { remaining, resetMs } without counting a request
+const ALGORITHMS = {
+	'fixed-window': {
+		async hit(store, key, { limit, windowMs }, now) {
+			const windowStart = Math.floor(now / windowMs) * windowMs;
+			const count = await store.increment(`${key}:${windowStart}`, 1, windowMs);
+			const resetMs = windowStart + windowMs - now;
+
+			return {
+				allowed: count <= limit,
+				remaining: Math.max(0, limit - count),
+				resetMs,
+				retryAfterMs: count <= limit ? 0 : resetMs
+			};
+		},
+		async peek(store, key, { limit, windowMs }, now) {
+			const windowStart = Math.floor(now / windowMs) * windowMs;
+			const count = (await store.get(`${key}:${windowStart}`)) || 0;
+			return { remaining: Math.max(0, limit - count), resetMs: windowStart + windowMs - now };
+		}
+	},
+
+	// estimate = previous window * (share of it still inside the sliding window) + current
+	'sliding-window': {
+		async hit(store, key, { limit, windowMs }, now) {
+			const windowStart = Math.floor(now / windowMs) * windowMs;
+			const currentKey = `${key}:${windowStart}`;
+
+			// Counters live for two windows: the current one, then as "previous"
+			const current = await store.increment(currentKey, 1, 2 * windowMs);
+			const previous = (await store.get(`${key}:${windowStart - windowMs}`)) || 0;
+			const weight = 1 - (now - windowStart) / windowMs;
+			const estimate = previous * weight + current;
+
+			if (estimate <= limit) {
+				return {
+					allowed: true,
+					remaining: Math.max(0, Math.floor(limit - estimate)),
+					resetMs: windowStart + windowMs - now,
+					retryAfterMs: 0
+				};
+			}
+
+			// Rejected requests don't count
+			await store.increment(currentKey, -1, 2 * windowMs);
+			const count = current - 1;
+
+			// When does the estimate leave room for one more request?
+			let retryAfterMs;
+			if (count + 1 <= limit && previous > 0) {
+				retryAfterMs = windowStart + windowMs * (1 - (limit - count - 1) / previous) - now;
+			} else {
+				// Not in this window: next window, once this one has slid out far enough
+				retryAfterMs = windowStart + windowMs - now + windowMs * Math.max(0, 1 - (limit - 1) / count);
+			}
+
+			return {
+				allowed: false,
+				remaining: 0,
+				resetMs: windowStart + windowMs - now,
+				retryAfterMs: Math.max(0, Math.ceil(retryAfterMs))
+			};
+		},
+		async peek(store, key, { limit, windowMs }, now) {
+			const windowStart = Math.floor(now / windowMs) * windowMs;
+			const current = (await store.get(`${key}:${windowStart}`)) || 0;
+			const previous = (await store.get(`${key}:${windowStart - windowMs}`)) || 0;
+			const estimate = previous * (1 - (now - windowStart) / windowMs) + current;
+			return { remaining: Math.max(0, Math.floor(limit - estimate)), resetMs: windowStart + windowMs - now };
+		}
+	},
+
+	'sliding-log': {
+		async hit(store, key, { limit, windowMs }, now) {
+			let allowed = false;
+			const log = await store.update(key, (previous = []) => {
+				const recent = previous.filter(time => time > now - windowMs);
+				allowed = recent.length < limit;
+				if (allowed) recent.push(now);
+				return recent;
+			}, windowMs);
+
+			const resetMs = log.length ? log[0] + windowMs - now : windowMs;
+			return {
+				allowed,
+				remaining: limit - log.length,
+				resetMs,
+				retryAfterMs: allowed ? 0 : resetMs
+			};
+		},
+		async peek(store, key, { limit, windowMs }, now) {
+			const log = ((await store.get(key)) || []).filter(time => time > now - windowMs);
+			return {
+				remaining: Math.max(0, limit - log.length),
+				resetMs: log.length ? log[0] + windowMs - now : 0
+			};
+		}
+	},
+
+	// Bucket of `limit` tokens, refilled completely over `windowMs`
+	'token-bucket': {
+		async hit(store, key, { limit, windowMs }, now) {
+			const ratePerMs = limit / windowMs;
+			let allowed = false;
+
+			const bucket = await store.update(key, (previous = { tokens: limit, last: now }) => {
+				const tokens = Math.min(limit, previous.tokens + (now - previous.last) * ratePerMs);
+				allowed = tokens >= 1;
+				return { tokens: allowed ? tokens - 1 : tokens, last: now };
+			}, windowMs);
+
+			return {
+				allowed,
+				remaining: Math.floor(bucket.tokens),
+				resetMs: Math.ceil((limit - bucket.tokens) / ratePerMs), // Until full again
+				retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs)
+			};
+		},
+		async peek(store, key, { limit, windowMs }, now) {
+			const ratePerMs = limit / windowMs;
+			const bucket = (await store.get(key)) || { tokens: limit, last: now };
+			const tokens = Math.min(limit, bucket.tokens + (now - bucket.last) * ratePerMs);
+			return { remaining: Math.floor(tokens), resetMs: Math.ceil((limit - tokens) / ratePerMs) };
+		}
+	}
+};
+
+let limiterCount = 0;
+
+// Stores that can run the algorithm next to the data (Redis + Lua, the
+// cluster primary) do the whole check in one atomic round trip
+const runHit = (store, algorithm, key, config, now) => (store.hit
+	? store.hit(algorithm, key, config, now)
+	: ALGORITHMS[algorithm].hit(store, key, config, now));
+
+function checkAlgorithm(algorithm, windowMs) {
+	if (!ALGORITHMS[algorithm]) throw new Error(`Unknown algorithm '${algorithm}'`);
+	if (!(windowMs > 0)) throw new Error('windowMs must be positive');
+}
+
+// 3. Limiter: limiter.hit(key) -> { allowed, limit, remaining, resetMs, retryAfterMs }
+function createLimiter({ algorithm = 'sliding-window', limit, windowMs, store = new MemoryStore(), prefix }) {
+	checkAlgorithm(algorithm, windowMs);
+	if (!(limit > 0)) throw new Error('limit must be positive');
+
+	// Limiters sharing a store get separate counters
+	const namespace = prefix || `rl${++limiterCount}`;
+	const { peek } = ALGORITHMS[algorithm];
+
+	return {
+		algorithm,
+		limit,
+		windowMs,
+		async hit(key, now = Date.now()) {
+			return { ...(await runHit(store, algorithm, `${namespace}:${key}`, { limit, windowMs }, now)), limit };
+		},
+		async peek(key, now = Date.now()) {
+			return { ...(await peek(store, `${namespace}:${key}`, { limit, windowMs }, now)), limit };
+		}
+	};
+}
+
+// 4. Keys: what a limit is counted per
+const hashApiKey = value => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+const keys = {
+	ip: req => `ip:${req.ip}`,
+	// Authenticated user, or the IP for anonymous requests
+	user: req => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+	// Hashed, so raw API keys don't sit in the store
+	apiKey: req => {
+		const value = req.get('x-api-key');
+		return value ? `apikey:${hashApiKey(value)}` : `ip:${req.ip}`;
+	},
+	route: req => `route:${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+	// keys.combine(keys.user, keys.route) -> counted per user per route
+	combine: (...parts) => req => parts.map(part => part(req)).join('|')
+};
+
+// RateLimit-* describe the most restrictive limit; Policy lists them all
+function setRateLimitHeaders(res, checks, binding) {
+	res.set('RateLimit-Limit', String(binding.config.limit));
+	res.set('RateLimit-Remaining', String(binding.result.remaining));
+	res.set('RateLimit-Reset', String(Math.ceil(binding.result.resetMs / 1000)));
+	res.set('RateLimit-Policy', checks
+		.map(({ config }) => `${config.limit};w=${Math.ceil(config.windowMs / 1000)}`)
+		.join(', '));
+	if (!binding.result.allowed) {
+		res.set('Retry-After', String(Math.ceil(binding.result.retryAfterMs / 1000)));
+	}
+}
+
+// 5. Express middleware: several limits on one request
+// rules: [{ name, algorithm, limit: number | req => number, windowMs, key: req => string }]
+// exempt: paths (exact), RegExps or req => boolean that skip limiting entirely
+function rateLimitRules({ rules, store = new MemoryStore(), exempt = [], message = 'Too many requests', prefix }) {
+	const namespace = prefix || `rl${++limiterCount}`;
+	rules = rules.map((rule, i) => {
+		checkAlgorithm(rule.algorithm, rule.windowMs);
+		if (typeof rule.limit !== 'function' && !(rule.limit > 0)) throw new Error('limit must be positive');
+		return { name: `rule${i + 1}`, key: keys.ip, ...rule };
+	});
+
+	const isExempt = req => exempt.some(entry => {
+		if (typeof entry === 'function') return entry(req);
+		if (entry instanceof RegExp) return entry.test(req.path);
+		return req.path === entry;
+	});
+
+	// Limits can depend on the request (e.g. the user's plan)
+	const configFor = (rule, req) => ({
+		limit: typeof rule.limit === 'function' ? rule.limit(req) : rule.limit,
+		windowMs: rule.windowMs
+	});
+	const storeKey = (rule, req) => `${namespace}:${rule.name}:${rule.key(req)}`;
+
+	// Checked in order; stops at the first rejection so later quotas
+	// (put the daily one last) aren't used up by rejected requests
+	async function middleware(req, res, next) {
+		if (isExempt(req)) return next();
+
+		try {
+			const now = Date.now();
+			const checks = rules.map(rule => ({ rule, config: configFor(rule, req) }));
+			let rejected = null;
+
+			for (const check of checks) {
+				check.result = await runHit(store, check.rule.algorithm, storeKey(check.rule, req), check.config, now);
+				if (!check.result.allowed) {
+					rejected = check;
+					break;
+				}
+			}
+
+			const evaluated = checks.filter(check => check.result);
+			const binding = rejected || evaluated.reduce((a, b) => (b.result.remaining < a.result.remaining ? b : a));
+			setRateLimitHeaders(res, checks, binding);
+
+			if (rejected) {
+				return res.status(429).json({
+					error: message,
+					limit: rejected.rule.name,
+					retryAfter: Math.ceil(rejected.result.retryAfterMs / 1000)
+				});
+			}
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	}
+
+	// Remaining quota per rule, without using any of it (for a status endpoint)
+	middleware.status = async req => {
+		const now = Date.now();
+		return Promise.all(rules.map(async rule => {
+			const config = configFor(rule, req);
+			const { remaining, resetMs } = await ALGORITHMS[rule.algorithm].peek(store, storeKey(rule, req), config, now);
+			return {
+				name: rule.name,
+				algorithm: rule.algorithm,
+				limit: config.limit,
+				windowSeconds: Math.ceil(config.windowMs / 1000),
+				remaining,
+				resetSeconds: Math.ceil(resetMs / 1000)
+			};
+		}));
+	};
+
+	return middleware;
+}
+
+// Single limit: rateLimit({ algorithm, limit, windowMs, key, store })
+function rateLimit({ algorithm = 'sliding-window', key = keys.ip, store, exempt, message, prefix, ...rule }) {
+	return rateLimitRules({ rules: [{ name: 'default', algorithm, key, ...rule }], store, exempt, message, prefix });
+}
+
+module.exports = {
+	MemoryStore,
+	ALGORITHMS,
+	createLimiter,
+	keys,
+	setRateLimitHeaders,
+	rateLimitRules,
+	rateLimit
+};
+
+// Example usage:
+// app.post('/login', rateLimit({ algorithm: 'sliding-log', limit: 5, windowMs: 15 * 60 * 1000 }), handler);
+// app.use(rateLimitRules({ exempt: ['/health'], rules: [
+//   { name: 'burst', algorithm: 'token-bucket', limit: 10, windowMs: 1000, key: keys.user },
+//   { name: 'daily', algorithm: 'fixed-window', limit: req => PLANS[req.user.plan].daily, windowMs: DAY, key: keys.user }
+// ] }));
+// const limiter = createLimiter({ algorithm: 'token-bucket', limit: 10, windowMs: 1000 });
+// await limiter.hit('user:42') -> { allowed: true, limit: 10, remaining: 9, ... }
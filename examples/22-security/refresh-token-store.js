@@ -0,0 +1,101 @@
+// Refresh token store (pluggable: memory or JSON file)
+// Keys are SHA-256 hashes of the tokens - the raw tokens are never stored
+
+/*
+ * INTERVIEW QUESTIONS & ANSWERS
+ *
+ * Q1: Why hash refresh tokens at rest?
+ * A: A leaked database (backup, SQL injection) must not hand out live sessions.
+ *    Tokens are long random strings, so a fast SHA-256 is enough (no bcrypt needed).
+ *
+ * Q2: Sliding vs absolute expiry?
+ * A: Sliding: each use pushes expiry forward (active users stay logged in).
+ *    Absolute: hard limit from login, no matter how active (forces re-authentication).
+ *
+ * Q3: Why a pluggable store?
+ * A: Same interface over memory (tests), a file (demo) or Redis/SQL (production):
+ *    get(hash), set(hash, record), delete(hash), purge()
+ */
+
+const { AtomicJsonFile } = require('./atomic-json-file');
+
+// record: { userId, createdAt, lastUsedAt, expiresAt, absoluteExpiresAt } (ms timestamps)
+const isExpired = (record, now = Date.now()) =>
+	record.expiresAt <= now || record.absoluteExpiresAt <= now;
+
+// 1. In-memory store
+class MemoryRefreshTokenStore {
+	constructor() {
+		this.records = new Map();
+	}
+
+	async get(hash) {
+		return this.records.get(hash) || null;
+	}
+
+	async set(hash, record) {
+		this.records.set(hash, record);
+	}
+
+	async delete(hash) {
+		return this.records.delete(hash);
+	}
+
+	// Drop expired records (run periodically)
+	async purge() {
+		const now = Date.now();
+		for (const [hash, record] of this.records) {
+			if (isExpired(record, now)) this.records.delete(hash);
+		}
+	}
+}
+
+// 2. JSON file store: survives restarts. Every change rewrites the whole file.
+class FileRefreshTokenStore extends MemoryRefreshTokenStore {
+	constructor(file) {
+		super();
+		this.file = new AtomicJsonFile(file);
+		this.ready = this.load();
+		this.ready.catch(() => {}); // Operations await it and rethrow; don't crash at startup
+	}
+
+	async load() {
+		const saved = await this.file.read();
+		if (saved) this.records = new Map(Object.entries(saved));
+	}
+
+	save() {
+		return this.file.write(Object.fromEntries(this.records));
+	}
+
+	async get(hash) {
+		await this.ready;
+		return super.get(hash);
+	}
+
+	async set(hash, record) {
+		await this.ready;
+		await super.set(hash, record);
+		await this.save();
+	}
+
+	async delete(hash) {
+		await this.ready;
+		const deleted = await super.delete(hash);
+		if (deleted) await this.save();
+		return deleted;
+	}
+
+	async purge() {
+		await this.ready;
+		const before = this.records.size;
+		await super.purge();
+		if (this.records.size !== before) await this.save();
+	}
+}
+
+function createRefreshTokenStore({ file } = {}) {
+	return file ? new FileRefreshTokenStore(file) : new MemoryRefreshTokenStore();
+}
+
+module.exports = { MemoryRefreshTokenStore, FileRefreshTokenStore, createRefreshTokenStore, isExpired };
@@ -53,45 +53,122 @@
  *    Automatically sent with refresh requests.
  */
 const express = require('express');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { createRefreshTokenStore, isExpired } = require('./refresh-token-store');
 
 const app = express();
 app.use(express.json());
+app.use(cookieParser());
 
 const JWT_SECRET = process.env.JWT_SECRET || 'access-secret';
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'refresh-secret';
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_SLIDING_MS = 7 * 24 * 60 * 60 * 1000; // Idle timeout: extended on every use
+const REFRESH_ABSOLUTE_MS = 30 * 24 * 60 * 60 * 1000; // Hard limit from login
 
-// In-memory refresh store (use DB/Redis in production)
-const refreshStore = new Map();
+// Opaque refresh tokens, stored as hashes (REFRESH_STORE_FILE persists them)
+const refreshStore = createRefreshTokenStore({ file: process.env.REFRESH_STORE_FILE });
+setInterval(() => refreshStore.purge().catch(console.error), 60 * 60 * 1000).unref();
 
-app.post('/login', (req, res) => {
-	const user = { id: '123', role: 'user' };
+// Mock user table (use DB in production)
+const users = new Map([['123', { id: '123', email: 'user@example.com', role: 'user' }]]);
 
-	const accessToken = jwt.sign(user, JWT_SECRET, { expiresIn: '15m' });
-	const refreshToken = jwt.sign({ id: user.id }, JWT_REFRESH_SECRET, { expiresIn: '7d' });
+// Claims always come from the user record, so /refresh gets the same ones as /login
+const claimsFor = user => ({ id: user.id, email: user.email, role: user.role });
+const signAccessToken = user => jwt.sign(claimsFor(user), JWT_SECRET, { expiresIn: '15m' });
 
-	refreshStore.set(refreshToken, user.id);
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
 
-	res.json({ accessToken, refreshToken });
-});
+// httpOnly: JS (and XSS) can't read it. SameSite=Strict: not sent cross-site.
+function setRefreshCookie(res, token, expiresAt) {
+	res.cookie(REFRESH_COOKIE, token, {
+		httpOnly: true,
+		secure: process.env.NODE_ENV === 'production',
+		sameSite: 'strict',
+		expires: new Date(expiresAt)
+	});
+}
+
+function clearRefreshCookie(res) {
+	res.clearCookie(REFRESH_COOKIE, {
+		httpOnly: true,
+		secure: process.env.NODE_ENV === 'production',
+		sameSite: 'strict'
+	});
+}
+
+app.post('/login', async (req, res, next) => {
+	try {
+		// In real apps: check credentials
+		const user = users.get('123');
 
-app.post('/refresh', (req, res) => {
-	const { refreshToken } = req.body;
-	if (!refreshToken || !refreshStore.has(refreshToken)) {
-		return res.status(401).json({ error: 'Invalid refresh token' });
+		const refreshToken = crypto.randomBytes(32).toString('base64url');
+		const now = Date.now();
+		const record = {
+			userId: user.id,
+			createdAt: now,
+			lastUsedAt: now,
+			expiresAt: now + REFRESH_SLIDING_MS,
+			absoluteExpiresAt: now + REFRESH_ABSOLUTE_MS
+		};
+		await refreshStore.set(hashToken(refreshToken), record);
+
+		setRefreshCookie(res, refreshToken, record.expiresAt);
+		res.json({ accessToken: signAccessToken(user) });
+	} catch (err) {
+		next(err);
 	}
+});
 
+app.post('/refresh', async (req, res, next) => {
 	try {
-		const payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
-		const accessToken = jwt.sign({ id: payload.id }, JWT_SECRET, { expiresIn: '15m' });
-		return res.json({ accessToken });
+		const refreshToken = req.cookies[REFRESH_COOKIE];
+		const hash = refreshToken && hashToken(refreshToken);
+		const record = hash && await refreshStore.get(hash);
+
+		if (!record || isExpired(record)) {
+			if (record) await refreshStore.delete(hash);
+			clearRefreshCookie(res);
+			return res.status(401).json({ error: 'Invalid refresh token' });
+		}
+
+		// Reload the user: role changes (or deletion) apply on the next refresh
+		const user = users.get(record.userId);
+		if (!user) {
+			await refreshStore.delete(hash);
+			clearRefreshCookie(res);
+			return res.status(401).json({ error: 'Invalid refresh token' });
+		}
+
+		// Sliding expiry, capped by the absolute lifetime
+		const now = Date.now();
+		const updated = {
+			...record,
+			lastUsedAt: now,
+			expiresAt: Math.min(now + REFRESH_SLIDING_MS, record.absoluteExpiresAt)
+		};
+		await refreshStore.set(hash, updated);
+		setRefreshCookie(res, refreshToken, updated.expiresAt);
+
+		return res.json({ accessToken: signAccessToken(user) });
 	} catch (err) {
-		return res.status(401).json({ error: 'Invalid refresh token' });
+		return next(err);
 	}
 });
 
-app.post('/logout', (req, res) => {
-	const { refreshToken } = req.body;
-	refreshStore.delete(refreshToken);
-	res.json({ message: 'Logged out' });
+app.post('/logout', async (req, res, next) => {
+	try {
+		const refreshToken = req.cookies[REFRESH_COOKIE];
+		if (refreshToken) await refreshStore.delete(hashToken(refreshToken));
+		clearRefreshCookie(res);
+		res.json({ message: 'Logged out' });
+	} catch (err) {
+		next(err);
+	}
 });
+
+// Example usage:
+// 1) POST /login -> { accessToken } + Set-Cookie: refreshToken=...; HttpOnly; SameSite=Strict
+// 2) POST /refresh (cookie sent automatically) -> { accessToken } with id, email and role
+// 3) POST /logout -> cookie cleared, stored hash deleted